@@ -3,49 +3,70 @@ require("dotenv").config();
 const fetch = require("node-fetch");
 const express = require('express');
 const cors = require('cors');
+const { frontendOrigin } = require("./utils/frontendUrls");
 const app = express();
 app.use(cors({
-  origin: "http://localhost:3000",
-  credentials: true // optional: if using cookies
+  origin: frontendOrigin(),
+  credentials: true, // optional: if using cookies
+  exposedHeaders: ["Link"] // pagination cursors of timelines
 }));
 
 
 
 
-const replyRoutes = require("./routes/replyRoutes");
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const postRoutes = require('./routes/postRoutes');
 const activityPubRoutes = require('./routes/activityPubRoutes');
 const feedRoutes = require("./routes/feedRoutes");
 const followRoutes = require("./routes/followRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const noteRoutes = require("./routes/noteRoutes");
+const nodeinfoRoutes = require("./routes/nodeinfoRoutes");
+const sharedInboxRoutes = require("./routes/sharedInboxRoutes");
+const resolveRoutes = require("./routes/resolveRoutes");
+const tagRoutes = require("./routes/tagRoutes");
+const conversationRoutes = require("./routes/conversationRoutes");
+const commentRoutes = require("./routes/commentRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const streamingRoutes = require("./routes/streamingRoutes");
+const messageRoutes = require("./routes/messageRoutes");
 // const auth=require("./routes/auth");
-const commentRoutes = require('./routes/comments');
 
 
-app.use(express.json({ type: ['application/json', 'application/activity+json'] }));
+app.use(express.json({
+  type: ['application/json', 'application/activity+json', 'application/ld+json'],
+  // Keep the raw bytes so inbox deliveries can be checked against their Digest header
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 app.use(express.urlencoded({ extended: true }));
 // app.use(express.json());
 
 
 
-
-
-
-app.use("/replies", replyRoutes);
-app.use('/api/posts', commentRoutes);
-
-
 app.use("/follow", followRoutes);
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/posts", postRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/resolve", resolveRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/streaming", streamingRoutes);
 app.use("/api", feedRoutes);
+app.use("/", nodeinfoRoutes); // NodeInfo + host-meta
 app.use("/.well-known", activityPubRoutes); // Webfinger
 
 app.use("/users", activityPubRoutes);
+app.use("/inbox", sharedInboxRoutes);
+app.use("/posts", noteRoutes);
+app.use("/messages", messageRoutes);
 // app.use("/api/auth", auth);
 // Error handler
 app.use((err, req, res, next) => {
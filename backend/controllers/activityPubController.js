@@ -1,20 +1,58 @@
 
 const axios = require('axios');
+const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
 const User = require('../models/User');
 const Post = require("../models/Post");
+const Tombstone = require("../models/Tombstone");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const Notification = require("../models/Notification");
 const signRequest = require("../utils/httpSignature");
-const fetchInboxUrl = require("../utils/fetchInboxUrl");
-const { sendSignedRequest } = require("../utils/sendSignedRequest");
+const { storeActor } = require("../utils/actorResolver");
+const { enqueueDelivery } = require("../utils/deliveryQueue");
+const deleteLocalPost = require("../utils/deleteLocalPost");
+const respondToFollow = require("../utils/respondToFollow");
+const { renderPostPage, renderGonePage } = require("../utils/postPage");
+const { paginateByCursor, paginateArray } = require("../utils/pagination");
+const { AS_CONTEXT, AS_PUBLIC, idOf, postUrl, buildNote, buildAnnounce, buildDirectNote, buildTombstone } = require("../utils/activityBuilder");
+const { localPostIdFromUrl, remotePostFromNote, isDuplicateKey, findOrFetchPost } = require("../utils/remotePosts");
+const { localHost, parseHandle } = require("../utils/webfinger");
+const { frontendUrl, profilePageUrl } = require("../utils/frontendUrls");
+const { LISTED, canView, viewerFor, visibilityFromAddressing } = require("../utils/visibility");
+const { storeIncomingMessage, mayReadConversation } = require("../utils/conversations");
+const { notify, withdraw, notifyAboutPost } = require("../utils/notifications");
+const { streamNewPost, streamCounts, streamParentCounts, streamDelete } = require("../utils/streaming");
+
+// Accepts `acct:user@our-host` or one of our actor URLs; anything else is not ours
+const usernameFromResource = (resource) => {
+  if (typeof resource !== "string") return null;
+
+  if (resource.toLowerCase().startsWith("acct:")) {
+    const parsed = parseHandle(resource);
+    return parsed && parsed.domain === localHost() ? parsed.username : null;
+  }
+
+  const prefix = `${process.env.BASE_URL}/users/`;
+  if (!resource.startsWith(prefix)) return null;
+  const username = resource.slice(prefix.length);
+  return /^[^/?#]+$/.test(username) ? username : null;
+};
 
+// GET /.well-known/webfinger?resource=acct:user@host
 exports.webfinger = async (req, res) => {
   console.log("📡 Webfinger called with:", req.query.resource);
 
   const resource = req.query.resource;
-  const username = resource?.split(":")[1]?.split("@")[0];
-  const host = req.headers.host;
+  if (!resource) {
+    return res.status(400).json({ error: "resource is required" });
+  }
 
-  console.log("🔍 Extracted username:", username, "from host:", host);
+  const username = usernameFromResource(resource);
+  if (!username) {
+    console.log("❌ Resource is not a local account:", resource);
+    return res.status(404).json({ error: "User not found" });
+  }
 
   const user = await User.findOne({ username });
   if (!user) {
@@ -22,16 +60,29 @@ exports.webfinger = async (req, res) => {
     return res.status(404).json({ error: "User not found" });
   }
 
-  res.setHeader("Content-Type", "application/activity+json");
+  const actorUrl = `${process.env.BASE_URL}/users/${username}`;
+  const profileUrl = profilePageUrl(username);
+
+  res.setHeader("Content-Type", "application/jrd+json; charset=utf-8");
   return res.json({
-    subject: `acct:${username}@${host}`,
+    subject: `acct:${username}@${localHost()}`,
+    aliases: [actorUrl, profileUrl],
     links: [
       {
         rel: "self",
         type: "application/activity+json",
-        href: `${process.env.BASE_URL}/users/${username}`,
-      }
-    ]
+        href: actorUrl,
+      },
+      {
+        rel: "http://webfinger.net/rel/profile-page",
+        type: "text/html",
+        href: profileUrl,
+      },
+      {
+        rel: "http://ostatus.org/schema/1.0/subscribe",
+        template: frontendUrl("/remote-search?acct={uri}"),
+      },
+    ],
   });
 };
 
@@ -77,6 +128,10 @@ exports.actor = async (req, res) => {
     outbox: `${process.env.BASE_URL}/users/${username}/outbox`,
     followers: `${process.env.BASE_URL}/users/${username}/followers`,
     following: `${process.env.BASE_URL}/users/${username}/following`,
+    manuallyApprovesFollowers: user.manuallyApprovesFollowers,
+    endpoints: {
+      sharedInbox: `${process.env.BASE_URL}/inbox`,
+    },
     publicKey: {
       id: `${process.env.BASE_URL}/users/${username}#main-key`,
       owner: `${process.env.BASE_URL}/users/${username}`,
@@ -96,6 +151,42 @@ exports.actor = async (req, res) => {
 
 
 
+// Turns `${BASE_URL}/users/:username` into the username, or null for foreign URLs
+const localUsernameFromUrl = (url) => {
+  const prefix = `${process.env.BASE_URL}/users/`;
+  if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+  return url.slice(prefix.length).split(/[/?#]/)[0] || null;
+};
+
+// Local users an activity delivered to the shared inbox is meant for:
+// those it addresses directly plus those following its actor
+const resolveRecipients = async (activity) => {
+  const actor = idOf(activity.actor);
+
+  // A Follow (or its Undo) only concerns the followed user
+  const follow = activity.type === "Undo" ? activity.object : activity;
+  if (follow?.type === "Follow") {
+    const username = localUsernameFromUrl(idOf(follow.object));
+    return username ? User.find({ username }) : [];
+  }
+
+  // An Accept/Reject concerns whoever sent the Follow
+  if (activity.type === "Accept" || activity.type === "Reject") {
+    const username = localUsernameFromUrl(idOf(activity.object?.actor));
+    if (username) return User.find({ username });
+    return User.find({ $or: [{ "pendingFollowing.actor": actor }, { following: actor }] });
+  }
+
+  const object = typeof activity.object === "object" ? activity.object : {};
+  const addressed = ["to", "cc", "bto", "bcc", "audience"]
+    .flatMap((field) => [].concat(activity[field] || [], object[field] || []))
+    .map(idOf);
+  const usernames = addressed.map(localUsernameFromUrl).filter(Boolean);
+
+  return User.find({ $or: [{ username: { $in: usernames } }, { following: actor }] });
+};
+
+// POST /users/:username/inbox
 exports.inbox = async (req, res) => {
   const { username } = req.params;
   const activity = req.body;
@@ -114,81 +205,364 @@ exports.inbox = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Handle Follow
-    if (activity.type === "Follow") {
-      const actor = activity.actor;
-      const remoteUsername = actor?.split("/users/")[1];
+    return await handleActivity(activity, [localUser], res);
+  } catch (err) {
+    console.error(" Inbox handler error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// POST /inbox (shared inbox: one delivery per server, fanned out here)
+exports.sharedInbox = async (req, res) => {
+  const activity = req.body;
+
+  console.log("📥 Received activity on shared inbox:", JSON.stringify(activity, null, 2));
+
+  if (!activity || !activity.type) {
+    return res.status(400).json({ error: "Invalid or missing activity type" });
+  }
+
+  try {
+    const recipients = await resolveRecipients(activity);
+    console.log(`Shared inbox recipients: ${recipients.map((u) => u.username).join(", ") || "none"}`);
+
+    // Nobody here asked for this post, and it doesn't reply to one of ours
+    const repliesToLocalPost = Boolean(localPostIdFromUrl(idOf(activity.object?.inReplyTo)));
+    if (activity.type === "Create" && recipients.length === 0 && !repliesToLocalPost) {
+      console.log("No local recipients for Create, skipping.");
+      return res.sendStatus(202);
+    }
+
+    return await handleActivity(activity, recipients, res);
+  } catch (err) {
+    console.error(" Shared inbox handler error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
 
-      console.log(`Follow request from: ${remoteUsername}`);
+// Applies an incoming activity once, on behalf of the given local recipients
+const handleActivity = async (activity, recipients, res) => {
+  // Handle Follow
+  if (activity.type === "Follow") {
+    const [localUser] = recipients;
+    if (!localUser) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const { username } = localUser;
+    const actor = activity.actor;
+    const remoteUsername = actor?.split("/users/")[1];
+
+    console.log(`Follow request from: ${remoteUsername}`);
+
+    // Locked accounts hold new followers until they approve them
+    if (localUser.manuallyApprovesFollowers && !localUser.followers.includes(actor)) {
+      localUser.followRequests = localUser.followRequests.filter((r) => r.actor !== actor);
+      localUser.followRequests.push({ actor, activity });
+      await localUser.save();
+      await notify(localUser._id, "follow_request", actor);
+      console.log(` Follow request from ${actor} is waiting for ${username}`);
+      return res.sendStatus(202);
+    }
 
-      if (!localUser.followers.includes(actor)) {
-        localUser.followers.push(actor);
-        await localUser.save();
-        console.log(` Added ${actor} to followers of ${username}`);
+    if (!localUser.followers.includes(actor)) {
+      localUser.followers.push(actor);
+      localUser.followRequests = localUser.followRequests.filter((r) => r.actor !== actor);
+      await localUser.save();
+      await notify(localUser._id, "follow", actor);
+      console.log(` Added ${actor} to followers of ${username}`);
+    }
+
+    await respondToFollow(localUser, activity, "Accept");
+    return res.sendStatus(202);
+  }
+
+  // Handle Accept/Reject of a Follow we sent
+  if (activity.type === "Accept" || activity.type === "Reject") {
+    const actor = idOf(activity.actor);
+    if (typeof activity.object === "object" && activity.object.type !== "Follow") {
+      console.log(`ℹUnhandled ${activity.type} of: ${activity.object.type}`);
+      return res.sendStatus(202);
+    }
+
+    for (const localUser of recipients) {
+      const wasPending = localUser.pendingFollowing.some((p) => p.actor === actor);
+      localUser.pendingFollowing = localUser.pendingFollowing.filter((p) => p.actor !== actor);
+
+      if (activity.type === "Accept") {
+        if (!wasPending) continue;
+        if (!localUser.following.includes(actor)) localUser.following.push(actor);
+        console.log(` ${actor} accepted follow from ${localUser.username}`);
+      } else {
+        // A Reject also ends a follow that was accepted before
+        localUser.following = localUser.following.filter((f) => f !== actor);
+        console.log(` ${actor} rejected follow from ${localUser.username}`);
       }
+      await localUser.save();
+    }
+    return res.sendStatus(202);
+  }
+
+  // Handle Create (posts)
+  if (activity.type === "Create") {
+    const object = activity.object;
+
+    if (!object || object.type !== "Note") {
+      console.log("Not a Note object, skipping.");
+      return res.sendStatus(202);
+    }
+
+    // Our own posts are already stored (and must not come back as remote copies)
+    if (localPostIdFromUrl(object.id)) {
+      console.log(`Create of local post ${object.id}, skipping.`);
+      return res.sendStatus(202);
+    }
+
+    // The signature only vouches for the activity's actor, so only they may be the author
+    if (object.attributedTo && idOf(object.attributedTo) !== idOf(activity.actor)) {
+      console.log(`❌ ${idOf(activity.actor)} tried to create a Note attributed to ${idOf(object.attributedTo)}`);
+      return res.status(403).json({ error: "Actor does not own this object" });
+    }
 
-      // Send Accept
-      const acceptActivity = {
-        "@context": "https://www.w3.org/ns/activitystreams",
-        type: "Accept",
-        actor: `${process.env.DOMAIN}/users/${localUser.username}`,
-        object: activity,
-      };
-
-      const inboxUrl = `${actor}/inbox`;
-
-      try {
-        await sendSignedRequest(localUser.username, inboxUrl, acceptActivity);
-        console.log("Sent Accept back to:", inboxUrl);
-      } catch (err) {
-        console.error(` Failed to send Accept to ${inboxUrl}:`, err.message);
+    // Direct Notes belong to a private conversation, not the post feed
+    if (visibilityFromAddressing(object.to, object.cc) === "direct") {
+      const message = await storeIncomingMessage(object, activity.actor);
+      console.log(`Stored direct message ${message.activityId} in conversation ${message.conversation}`);
+      return res.sendStatus(201);
+    }
+
+    // Local actors this delivery is for; non-public posts are only shown to them
+    const audience = recipients.map((user) => `${process.env.BASE_URL}/users/${user.username}`);
+
+    // Avoid duplicate posts (the same Note may reach several personal inboxes)
+    const addToExisting = async (existing) => {
+      if (!LISTED.includes(existing.visibility)) {
+        await Post.updateOne({ _id: existing._id }, { $addToSet: { audience: { $each: audience } } });
       }
+      console.log(" Duplicate post, skipping.");
+      return res.sendStatus(202);
+    };
+    const existing = await Post.findOne({ activityId: object.id });
+    if (existing) return addToExisting(existing);
 
+    const newPost = remotePostFromNote(object, activity.actor);
+    if (!LISTED.includes(newPost.visibility)) newPost.audience = audience;
+    try {
+      await newPost.save();
+    } catch (err) {
+      // Another delivery of the same Note got there first
+      if (!isDuplicateKey(err)) throw err;
+      return addToExisting(await Post.findOne({ activityId: object.id }));
+    }
+    await notifyAboutPost(newPost);
+    await streamNewPost(newPost);
+    await streamParentCounts(newPost);
+    console.log(`Saved remote post from ${object.attributedTo || activity.actor}`);
+    return res.sendStatus(201);
+  }
+
+  // Handle Like (on our local posts)
+  if (activity.type === "Like") {
+    const actor = idOf(activity.actor);
+    const postId = localPostIdFromUrl(idOf(activity.object));
+    if (!postId) {
+      console.log("Like for a post that is not ours, skipping.");
       return res.sendStatus(202);
     }
 
-    // Handle Create (posts)
-    if (activity.type === "Create") {
-      const object = activity.object;
+    const post = await Post.findByIdAndUpdate(postId, { $addToSet: { likes: actor } });
+    if (post) {
+      await notify(post.author, "like", actor, post);
+      await streamCounts(post._id);
+    }
+    console.log(` ${actor} liked post ${postId}`);
+    return res.sendStatus(202);
+  }
+
+  // Handle Announce (boosts)
+  if (activity.type === "Announce") {
+    const actor = idOf(activity.actor);
+
+    if (!activity.id || await Post.exists({ activityId: activity.id })) {
+      console.log(" Duplicate or anonymous boost, skipping.");
+      return res.sendStatus(202);
+    }
+
+    let original;
+    try {
+      original = await findOrFetchPost(idOf(activity.object));
+    } catch (err) {
+      console.error(`Failed to fetch boosted object ${idOf(activity.object)}:`, err.message);
+    }
+    if (!original) return res.sendStatus(202);
 
-      if (!object || object.type !== "Note") {
-        console.log("Not a Note object, skipping.");
+    // Only public and unlisted posts can be boosted, as in our own outbox
+    if (!LISTED.includes(original.visibility)) {
+      console.log(`Boost of non-public post ${idOf(activity.object)}, skipping.`);
+      return res.sendStatus(202);
+    }
+
+    let boost;
+    try {
+      boost = await Post.create({
+        actor,
+        boostOf: original._id,
+        to: activity.to || [],
+        activityId: activity.id,
+        remote: true
+      });
+    } catch (err) {
+      if (!isDuplicateKey(err)) throw err;
+      console.log(" Duplicate boost, skipping.");
+      return res.sendStatus(202);
+    }
+    await notify(original.author, "boost", actor, original);
+    await streamNewPost(boost);
+    console.log(` ${actor} boosted ${idOf(activity.object)}`);
+    return res.sendStatus(201);
+  }
+
+  // Handle Update (edited remote posts, changed remote profiles)
+  if (activity.type === "Update") {
+    const actor = idOf(activity.actor);
+    const object = activity.object;
+
+    if (object?.type === "Note") {
+      const post = await Post.findOne({ activityId: object.id, remote: true });
+      if (!post) {
+        console.log(`Update for unknown Note ${object.id}, skipping.`);
         return res.sendStatus(202);
       }
 
-      // Avoid duplicate posts
-      const existing = await Post.findOne({ activityId: object.id });
-      if (existing) {
-        console.log(" Duplicate post, skipping.");
-        return res.sendStatus(202);
+      if (post.actor !== actor) {
+        console.log(`❌ ${actor} tried to update ${object.id} owned by ${post.actor}`);
+        return res.status(403).json({ error: "Actor does not own this object" });
       }
 
-      const content = object.content || "";
-      const image = object.attachment?.[0]?.url || null;
+      const edited = remotePostFromNote(object, actor);
+      const editedAt = object.updated ? new Date(object.updated) : new Date();
+      if (edited.caption !== post.caption) {
+        post.editHistory.push({ caption: post.caption, editedAt });
+      }
+      post.caption = edited.caption;
+      post.imageUrl = edited.imageUrl;
+      post.mentions = edited.mentions;
+      post.tags = edited.tags;
+      post.editedAt = editedAt;
+      await post.save();
+      console.log(` Applied edit to remote post ${object.id}`);
+      return res.sendStatus(202);
+    }
 
-      const newPost = new Post({
-        actor: object.attributedTo || activity.actor,
-        imageUrl: image,
-        caption: content.replace(/<\/?[^>]+(>|$)/g, ""), // Strip HTML tags
-        to: object.to || [],
-        activityId: object.id,
-        inReplyTo: object.inReplyTo || null,
-        remote: true
-      });
+    if (["Person", "Service", "Application", "Group", "Organization"].includes(object?.type)) {
+      if (object.id !== actor) {
+        return res.status(403).json({ error: "Actors may only update themselves" });
+      }
+      await storeActor(object);
+      console.log(` Refreshed cached profile of ${actor}`);
+      return res.sendStatus(202);
+    }
 
-      await newPost.save();
-      console.log(`Saved remote post from ${object.attributedTo || activity.actor}`);
-      return res.sendStatus(201);
+    console.log(`ℹUnhandled Update of: ${object?.type}`);
+    return res.sendStatus(202);
+  }
+
+  // Handle Delete (remote posts)
+  if (activity.type === "Delete") {
+    const actor = idOf(activity.actor);
+    const objectId = idOf(activity.object);
+
+    const post = await Post.findOne({ activityId: objectId, remote: true });
+
+    // Otherwise it may be a direct message (only its author may delete it)
+    if (!post) {
+      const message = await Message.findOne({ activityId: objectId, remote: true, actor });
+      if (message) {
+        await message.deleteOne();
+        console.log(` Deleted remote message ${objectId}`);
+        return res.sendStatus(202);
+      }
+      console.log(`Delete for unknown object ${objectId}, skipping.`);
+      return res.sendStatus(202);
     }
 
-    // Handle other types as needed
-    console.log(`ℹUnhandled activity type: ${activity.type}`);
+    // Only the author may delete a post (a boost's author is its booster)
+    if (post.actor !== actor) {
+      console.log(`❌ ${actor} tried to delete ${objectId} owned by ${post.actor}`);
+      return res.status(403).json({ error: "Actor does not own this object" });
+    }
+
+    await Post.deleteMany({ boostOf: post._id });
+    await post.deleteOne();
+    await Notification.deleteMany({ post: post._id });
+    await streamDelete(post);
+    console.log(` Deleted remote post ${objectId}`);
     return res.sendStatus(202);
+  }
 
-  } catch (err) {
-    console.error(" Inbox handler error:", err);
-    res.status(500).json({ error: "Internal server error" });
+  // Handle Undo (Follow, Like, Announce)
+  if (activity.type === "Undo") {
+    const original = activity.object;
+
+    if (!original || typeof original !== "object") {
+      console.log("Undo without an embedded object, skipping.");
+      return res.sendStatus(202);
+    }
+
+    // Only the actor of the original activity may undo it
+    if (idOf(original.actor) !== idOf(activity.actor)) {
+      console.log(`❌ Undo actor ${idOf(activity.actor)} does not match ${idOf(original.actor)}`);
+      return res.status(403).json({ error: "Undo actor does not match original activity" });
+    }
+
+    const actor = idOf(activity.actor);
+
+    if (original.type === "Follow") {
+      const [localUser] = recipients;
+      if (!localUser) return res.sendStatus(202);
+      const { username } = localUser;
+      localUser.followers = localUser.followers.filter(
+        (follower) => follower !== actor && follower !== `${actor}/inbox`
+      );
+      localUser.followRequests = localUser.followRequests.filter((r) => r.actor !== actor);
+      await localUser.save();
+      await withdraw(localUser._id, "follow", actor);
+      await withdraw(localUser._id, "follow_request", actor);
+      console.log(` Removed ${actor} from followers of ${username}`);
+      return res.sendStatus(202);
+    }
+
+    if (original.type === "Like") {
+      const postId = localPostIdFromUrl(idOf(original.object));
+      if (postId) {
+        const post = await Post.findByIdAndUpdate(postId, { $pull: { likes: actor } });
+        if (post) {
+          await withdraw(post.author, "like", actor, post);
+          await streamCounts(post._id);
+        }
+        console.log(` Removed like by ${actor} from post ${postId}`);
+      }
+      return res.sendStatus(202);
+    }
+
+    if (original.type === "Announce") {
+      if (original.id) {
+        const boost = await Post.findOne({ activityId: original.id, actor });
+        const boosted = boost && await Post.findById(boost.boostOf);
+        if (boosted) await withdraw(boosted.author, "boost", actor, boosted);
+        await Post.deleteMany({ activityId: original.id, actor });
+        if (boost) await streamDelete(boost);
+        console.log(` Removed boost ${original.id} by ${actor}`);
+      }
+      return res.sendStatus(202);
+    }
+
+    console.log(`ℹUnhandled Undo of: ${original.type}`);
+    return res.sendStatus(202);
   }
+
+  // Handle other types as needed
+  console.log(`ℹUnhandled activity type: ${activity.type}`);
+  return res.sendStatus(202);
 };
 
 
@@ -210,6 +584,33 @@ exports.inbox = async (req, res) => {
 
 
 
+// Followers/following are paged by number (?page=1), newest first
+const sendActorCollection = (req, res, collectionUrl, entries) => {
+  res.setHeader("Content-Type", "application/activity+json");
+
+  if (req.query.page === undefined) {
+    return res.json({
+      "@context": AS_CONTEXT,
+      id: collectionUrl,
+      type: "OrderedCollection",
+      totalItems: entries.length,
+      first: `${collectionUrl}?page=1`,
+    });
+  }
+
+  const { items, page, next, prev } = paginateArray(entries, req.query.page);
+  res.json({
+    "@context": AS_CONTEXT,
+    id: `${collectionUrl}?page=${page}`,
+    type: "OrderedCollectionPage",
+    totalItems: entries.length,
+    partOf: collectionUrl,
+    ...(next && { next: `${collectionUrl}?page=${next}` }),
+    ...(prev && { prev: `${collectionUrl}?page=${prev}` }),
+    orderedItems: items,
+  });
+};
+
 exports.getFollowers = async (req, res) => {
   const { username } = req.params;
   const user = await User.findOne({ username });
@@ -221,12 +622,7 @@ exports.getFollowers = async (req, res) => {
     url.replace(/\/inbox$/, "")
   );
 
-  res.json({
-    "@context": "https://www.w3.org/ns/activitystreams",
-    type: "OrderedCollection",
-    totalItems: cleanedFollowers.length,
-    items: cleanedFollowers
-  });
+  sendActorCollection(req, res, `${process.env.BASE_URL}/users/${username}/followers`, cleanedFollowers);
 };
 
 
@@ -238,12 +634,7 @@ exports.getFollowing = async (req, res) => {
 
   if (!user) return res.status(404).json({ error: "User not found" });
 
-  res.json({
-    "@context": "https://www.w3.org/ns/activitystreams",
-    type: "OrderedCollection",
-    totalItems: user.following.length,
-    items: user.following
-  });
+  sendActorCollection(req, res, `${process.env.BASE_URL}/users/${username}/following`, user.following);
 };
 
 
@@ -258,10 +649,10 @@ exports.deletePost = async (req, res) => {
     if (!post) return res.status(404).json({ error: "Post not found" });
 
     // Only allow deletion if the logged-in user is the author
-    if (post.author.toString() !== req.user.id)
+    if (post.author?.toString() !== req.user.id)
       return res.status(403).json({ error: "Unauthorized" });
 
-    await post.deleteOne();
+    await deleteLocalPost(post);
     res.json({ message: "Post deleted" });
   } catch (err) {
     console.error("Delete error:", err.message);
@@ -271,6 +662,7 @@ exports.deletePost = async (req, res) => {
 
 
 
+// Outbox pages use createdAt/_id cursors: ?page=true&max_id=... (older) or &min_id=... (newer)
 exports.outbox = async (req, res) => {
   try {
     const username = req.params.username;
@@ -279,45 +671,186 @@ exports.outbox = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const posts = await Post.find({ author: user._id }).sort({ createdAt: -1 });
-
-    const activities = posts.map((post) => ({
-      "@context": "https://www.w3.org/ns/activitystreams",
-      id: `${process.env.DOMAIN}/posts/${post._id}`,
-      type: "Create",
-      actor: `${process.env.DOMAIN}/users/${username}`,
-      published: post.createdAt,
-      to: ["https://www.w3.org/ns/activitystreams#Public"],
-      cc: [],
-      object: {
-        id: `${process.env.DOMAIN}/posts/${post._id}`,
-        type: "Note",
-        attributedTo: `${process.env.DOMAIN}/users/${username}`,
-        content: post.caption,
-        published: post.createdAt,
-        to: ["https://www.w3.org/ns/activitystreams#Public"],
-        attachment: post.imageUrl
-          ? [
-            {
-              type: "Image",
-              mediaType: "image/jpeg",
-              url: post.imageUrl,
-            },
-          ]
-          : [],
-      },
-    }));
+    const outboxUrl = `${process.env.BASE_URL}/users/${username}/outbox`;
+    // Followers-only and direct posts are delivered, never listed
+    const filter = { author: user._id, visibility: { $nin: ["followers", "direct"] } };
+    res.setHeader("Content-Type", "application/activity+json");
+
+    if (req.query.page === undefined) {
+      return res.json({
+        "@context": AS_CONTEXT,
+        id: outboxUrl,
+        type: "OrderedCollection",
+        totalItems: await Post.countDocuments(filter),
+        first: `${outboxUrl}?page=true`,
+      });
+    }
 
-    const outbox = {
-      "@context": "https://www.w3.org/ns/activitystreams",
-      type: "OrderedCollection",
-      totalItems: activities.length,
+    const { items: posts, next, prev } = await paginateByCursor(Post, filter, {
+      maxId: req.query.max_id,
+      minId: req.query.min_id,
+    });
+
+    // Boosts are published as Announce of the original post
+    const originals = await Post.find({
+      _id: { $in: posts.filter((post) => post.boostOf).map((post) => post.boostOf) },
+    });
+    const originalsById = new Map(originals.map((post) => [post._id.toString(), post]));
+
+    const actorUrl = `${process.env.DOMAIN}/users/${username}`;
+    const activities = posts
+      .map((post) => {
+        if (post.boostOf) {
+          const original = originalsById.get(post.boostOf.toString());
+          return original && buildAnnounce(post, original, actorUrl);
+        }
+        return {
+          id: postUrl(post),
+          type: "Create",
+          actor: actorUrl,
+          published: post.createdAt,
+          to: post.to?.length ? post.to : [AS_PUBLIC],
+          cc: post.cc || [],
+          object: buildNote(post, actorUrl),
+        };
+      })
+      .filter(Boolean);
+
+    const pageQuery = new URLSearchParams({ page: "true" });
+    if (req.query.max_id) pageQuery.set("max_id", req.query.max_id);
+    if (req.query.min_id) pageQuery.set("min_id", req.query.min_id);
+
+    res.json({
+      "@context": AS_CONTEXT,
+      id: `${outboxUrl}?${pageQuery}`,
+      type: "OrderedCollectionPage",
+      partOf: outboxUrl,
+      ...(next && { next: `${outboxUrl}?page=true&max_id=${next}` }),
+      ...(prev && { prev: `${outboxUrl}?page=true&min_id=${prev}` }),
       orderedItems: activities,
-    };
-
-    res.json(outbox);
+    });
   } catch (err) {
     console.error("Outbox error:", err);
     res.status(500).json({ error: "Failed to get outbox" });
   }
 };
+
+
+
+
+// GET /posts/:id/likes
+exports.getNoteLikes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: "Post not found" });
+
+    const post = await Post.findOne({ _id: id, remote: false, boostOf: null });
+    if (!post || !canView(post, null)) return res.status(404).json({ error: "Post not found" });
+
+    res.setHeader("Content-Type", "application/activity+json");
+    res.json({
+      "@context": AS_CONTEXT,
+      id: `${postUrl(post)}/likes`,
+      type: "Collection",
+      totalItems: post.likes.length,
+    });
+  } catch (err) {
+    console.error("Likes collection error:", err);
+    res.status(500).json({ error: "Failed to get likes" });
+  }
+};
+
+
+
+
+// GET /posts/:id (ActivityPub Note or HTML permalink, by Accept header)
+exports.getNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const wantsHtml = req.accepts(["application/activity+json", "application/ld+json", "text/html"]) === "text/html";
+    res.vary("Accept");
+
+    const post = mongoose.isValidObjectId(id)
+      ? await Post.findOne({ _id: id, remote: false, boostOf: null }).populate("author", "username")
+      : null;
+
+    if (!post) {
+      const tombstone = await Tombstone.findOne({ objectId: `${process.env.DOMAIN}/posts/${id}` });
+      if (tombstone) {
+        if (wantsHtml) return res.status(410).type("html").send(renderGonePage());
+        res.setHeader("Content-Type", "application/activity+json");
+        return res.status(410).json({ "@context": AS_CONTEXT, ...buildTombstone(tombstone) });
+      }
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Posts the viewer may not see look the same as missing ones
+    if (!canView(post, await viewerFor(req))) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (wantsHtml) {
+      return res.type("html").send(renderPostPage(post, post.author.username, postUrl(post)));
+    }
+
+    const actorUrl = `${process.env.DOMAIN}/users/${post.author.username}`;
+    res.setHeader("Content-Type", "application/activity+json");
+    res.json({ "@context": AS_CONTEXT, ...buildNote(post, actorUrl) });
+  } catch (err) {
+    console.error("Note error:", err);
+    res.status(500).json({ error: "Failed to get post" });
+  }
+};
+
+
+
+
+
+// GET /posts/:id/replies
+exports.getNoteReplies = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: "Post not found" });
+
+    const post = await Post.findOne({ _id: id, remote: false, boostOf: null });
+    if (!post || !canView(post, null)) return res.status(404).json({ error: "Post not found" });
+
+    const replies = await Post.find({
+      inReplyTo: postUrl(post),
+      visibility: { $nin: ["followers", "direct"] },
+    }).sort({ createdAt: 1 });
+
+    res.setHeader("Content-Type", "application/activity+json");
+    res.json({
+      "@context": AS_CONTEXT,
+      id: `${postUrl(post)}/replies`,
+      type: "Collection",
+      totalItems: replies.length,
+      items: replies.map((reply) => (reply.remote ? reply.activityId : postUrl(reply))),
+    });
+  } catch (err) {
+    console.error("Replies collection error:", err);
+    res.status(500).json({ error: "Failed to get replies" });
+  }
+};
+
+// GET /messages/:id - a local direct message as a Note, for its participants only
+exports.getMessageNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const message = mongoose.isValidObjectId(id) ? await Message.findOne({ _id: id, remote: false }) : null;
+    const conversation = message && await Conversation.findById(message.conversation);
+
+    // Anyone outside the conversation is told the message doesn't exist
+    const fetchers = [req.signer, req.user?.actor];
+    if (!conversation || !fetchers.some((fetcher) => mayReadConversation(conversation, fetcher))) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    res.setHeader("Content-Type", "application/activity+json");
+    res.json({ "@context": AS_CONTEXT, ...buildDirectNote(message, conversation.context, message.actor) });
+  } catch (err) {
+    console.error("Message note error:", err);
+    res.status(500).json({ error: "Failed to get message" });
+  }
+};
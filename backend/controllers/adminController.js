@@ -0,0 +1,79 @@
+const DeliveryJob = require("../models/DeliveryJob");
+const InboxHealth = require("../models/InboxHealth");
+const { retryJob } = require("../utils/deliveryQueue");
+
+// GET /api/admin/deliveries?status=failed&page=1&limit=20
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { status, inbox } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (inbox) filter.inbox = inbox;
+
+    const [jobs, total] = await Promise.all([
+      DeliveryJob.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DeliveryJob.countDocuments(filter),
+    ]);
+
+    res.json({ total, page, limit, jobs });
+  } catch (err) {
+    console.error("❌ Error fetching deliveries:", err.message);
+    res.status(500).json({ error: "Failed to fetch deliveries" });
+  }
+};
+
+// POST /api/admin/deliveries/:id/retry
+exports.retryDelivery = async (req, res) => {
+  try {
+    const job = await DeliveryJob.findById(req.params.id);
+    if (!job) return res.status(404).json({ error: "Delivery job not found" });
+
+    if (job.status !== "failed") {
+      return res.status(400).json({ error: "Only failed deliveries can be retried" });
+    }
+
+    await retryJob(job);
+    res.json({ message: "Delivery queued for retry", job });
+  } catch (err) {
+    console.error("❌ Error retrying delivery:", err.message);
+    res.status(500).json({ error: "Failed to retry delivery" });
+  }
+};
+
+// POST /api/admin/deliveries/retry-failed
+exports.retryFailedDeliveries = async (req, res) => {
+  try {
+    const filter = { status: "failed" };
+    if (req.body?.inbox) filter.inbox = req.body.inbox;
+
+    const jobs = await DeliveryJob.find(filter);
+    for (const job of jobs) {
+      await retryJob(job);
+    }
+
+    res.json({ message: "Failed deliveries queued for retry", retried: jobs.length });
+  } catch (err) {
+    console.error("❌ Error retrying deliveries:", err.message);
+    res.status(500).json({ error: "Failed to retry deliveries" });
+  }
+};
+
+// GET /api/admin/inboxes?dead=true
+exports.getInboxHealth = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.dead !== undefined) filter.dead = req.query.dead === "true";
+
+    const inboxes = await InboxHealth.find(filter).sort({ lastFailureAt: -1 });
+    res.json(inboxes);
+  } catch (err) {
+    console.error("❌ Error fetching inbox health:", err.message);
+    res.status(500).json({ error: "Failed to fetch inbox health" });
+  }
+};
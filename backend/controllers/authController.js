@@ -4,6 +4,7 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const Post = require("../models/Post");
 const sendEmail = require("../utils/sendEmail");
+const deleteLocalPost = require("../utils/deleteLocalPost");
 
 
 const crypto = require("crypto");
@@ -265,7 +266,7 @@ exports.deletePost = async (req, res) => {
       return res.status(403).json({ error: "Not authorized to delete this post" });
     }
 
-    await post.deleteOne();
+    await deleteLocalPost(post);
     res.json({ message: "Post deleted" });
   } catch (err) {
     console.error("Server error:", err);
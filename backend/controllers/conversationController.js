@@ -0,0 +1,168 @@
+const User = require("../models/User");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const { resolveActor, describeActors } = require("../utils/actorResolver");
+const { paginateByCursor } = require("../utils/pagination");
+const { localHost, parseHandle, lookupActorUrl } = require("../utils/webfinger");
+const {
+  participantsOf,
+  conversationFor,
+  sendMessage,
+  unreadCount,
+  markRead,
+} = require("../utils/conversations");
+
+const localActorPrefix = () => `${process.env.BASE_URL}/users/`;
+
+const toMessageItem = (message, viewerActor) => ({
+  _id: message._id,
+  actor: message.actor,
+  content: message.content,
+  imageUrl: message.imageUrl || null,
+  remote: message.remote,
+  mine: message.actor === viewerActor,
+  createdAt: message.createdAt,
+});
+
+// Actor URL for a recipient handle ("user" for local accounts, "user@domain" otherwise)
+const actorForHandle = async (handle) => {
+  const trimmed = String(handle || "").trim().replace(/^@/, "");
+  const parsed = trimmed.includes("@") ? parseHandle(trimmed) : { username: trimmed, domain: localHost() };
+  if (!parsed?.username) return null;
+
+  if (parsed.domain === localHost()) {
+    const user = await User.findOne({ username: parsed.username });
+    return user && `${localActorPrefix()}${user.username}`;
+  }
+
+  try {
+    const actor = await resolveActor(await lookupActorUrl(trimmed));
+    return actor?.actorId || null;
+  } catch (err) {
+    console.log(`⚠️ Could not resolve recipient ${trimmed}:`, err.message);
+    return null;
+  }
+};
+
+// The conversation, if the viewer takes part in it
+const findConversation = async (id, viewerActor) => {
+  const conversation = await Conversation.findById(id).catch(() => null);
+  return conversation?.participants.includes(viewerActor) ? conversation : null;
+};
+
+const contentFrom = (body) => (typeof body?.content === "string" ? body.content.trim() : "");
+
+// GET /api/conversations - the viewer's conversations, most recent first
+exports.listConversations = async (req, res) => {
+  try {
+    const me = req.user.actor;
+    const conversations = await Conversation.find({ participants: me }).sort({ lastMessageAt: -1 });
+    const people = await describeActors([...new Set(conversations.flatMap((c) => c.participants))]);
+
+    const items = await Promise.all(conversations.map(async (conversation) => {
+      const last = await Message.findOne({ conversation: conversation._id }).sort({ createdAt: -1 });
+      return {
+        _id: conversation._id,
+        participants: conversation.participants.filter((actor) => actor !== me).map((actor) => people.get(actor)),
+        lastMessage: last && toMessageItem(last, me),
+        unread: await unreadCount(conversation, me),
+        lastMessageAt: conversation.lastMessageAt,
+      };
+    }));
+
+    res.status(200).json({
+      items,
+      unread: items.reduce((total, item) => total + item.unread, 0),
+    });
+  } catch (err) {
+    console.error("❌ Error listing conversations:", err.message);
+    res.status(500).json({ error: "Failed to load conversations" });
+  }
+};
+
+// GET /api/conversations/:id/messages - newest first; marks the conversation read
+exports.getMessages = async (req, res) => {
+  try {
+    const me = req.user.actor;
+    const conversation = await findConversation(req.params.id, me);
+    if (!conversation) return res.status(404).json({ error: "Conversation not found" });
+
+    const { items, next, prev } = await paginateByCursor(
+      Message,
+      { conversation: conversation._id },
+      { maxId: req.query.max_id, minId: req.query.min_id, limit: req.query.limit }
+    );
+
+    markRead(conversation, me);
+    await conversation.save();
+
+    const people = await describeActors(conversation.participants);
+    res.status(200).json({
+      conversation: {
+        _id: conversation._id,
+        participants: conversation.participants.filter((actor) => actor !== me).map((actor) => people.get(actor)),
+      },
+      items: items.map((message) => ({ ...toMessageItem(message, me), author: people.get(message.actor) })),
+      next,
+      prev,
+    });
+  } catch (err) {
+    console.error("❌ Error loading messages:", err.message);
+    res.status(500).json({ error: "Failed to load messages" });
+  }
+};
+
+// POST /api/conversations - { to: ["user", "user@domain"], content }
+exports.startConversation = async (req, res) => {
+  const content = contentFrom(req.body);
+  const handles = [].concat(req.body?.to || []).flatMap((to) => String(to).split(/[\s,]+/)).filter(Boolean);
+
+  if (!content) return res.status(400).json({ error: "Message content is required" });
+  if (handles.length === 0) return res.status(400).json({ error: "At least one recipient is required" });
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const actors = await Promise.all(handles.map(actorForHandle));
+    const unknown = handles.filter((handle, i) => !actors[i]);
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: `Could not find ${unknown.join(", ")}` });
+    }
+
+    const me = `${localActorPrefix()}${user.username}`;
+    const participants = participantsOf(me, actors);
+    if (participants.length < 2) {
+      return res.status(400).json({ error: "Add at least one recipient other than yourself" });
+    }
+
+    const conversation = await conversationFor(participants);
+    const message = await sendMessage(user, conversation, content);
+
+    res.status(201).json({ conversation: conversation._id, message: toMessageItem(message, me) });
+  } catch (err) {
+    console.error("❌ Error starting conversation:", err);
+    res.status(500).json({ error: "Failed to send message" });
+  }
+};
+
+// POST /api/conversations/:id/messages - { content }
+exports.replyToConversation = async (req, res) => {
+  const content = contentFrom(req.body);
+  if (!content) return res.status(400).json({ error: "Message content is required" });
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const me = `${localActorPrefix()}${user.username}`;
+    const conversation = await findConversation(req.params.id, me);
+    if (!conversation) return res.status(404).json({ error: "Conversation not found" });
+
+    const message = await sendMessage(user, conversation, content);
+    res.status(201).json({ conversation: conversation._id, message: toMessageItem(message, me) });
+  } catch (err) {
+    console.error("❌ Error sending message:", err);
+    res.status(500).json({ error: "Failed to send message" });
+  }
+};
@@ -1,22 +1,24 @@
 
-const axios = require("axios");
 const User = require("../models/User");
 const { sendSignedRequest } = require("../utils/sendSignedRequest");
+const { resolveInbox, cachedProfiles } = require("../utils/actorResolver");
+const { settleFollowRequest } = require("../utils/followRequests");
 
 exports.sendFollow = async (req, res) => {
   const { username } = req.params;
   const { remoteActorUrl } = req.body;
 
+  // Users can only follow on their own behalf
+  if (req.user.username !== username) {
+    return res.status(403).json({ error: "Forbidden: Cannot follow for another user" });
+  }
+
   try {
     const localUser = await User.findOne({ username });
     if (!localUser) return res.status(404).json({ error: "Local user not found" });
 
-    // Step 1: Fetch remote actor to get inbox
-    const actorRes = await axios.get(remoteActorUrl, {
-      headers: { Accept: "application/activity+json" },
-    });
-
-    const remoteInbox = actorRes.data.inbox;
+    // Step 1: Resolve remote actor to get inbox
+    const remoteInbox = await resolveInbox(remoteActorUrl);
     if (!remoteInbox) return res.status(400).json({ error: "Remote inbox not found" });
 
     // Step 2: Create Follow activity
@@ -31,16 +33,66 @@ exports.sendFollow = async (req, res) => {
     // Step 3: Send signed request (this function handles the POST)
     await sendSignedRequest(localUser.username, remoteInbox, followActivity);
 
-    // Step 4: Save the follow locally
-    if (!localUser.following.includes(remoteActorUrl)) {
-      localUser.following.push(remoteActorUrl);
+    // Step 4: Remember the follow until the remote side sends Accept or Reject
+    const known = localUser.following.includes(remoteActorUrl)
+      || localUser.pendingFollowing.some((p) => p.actor === remoteActorUrl);
+    if (!known) {
+      localUser.pendingFollowing.push({ actor: remoteActorUrl, activityId: followActivity.id });
       await localUser.save();
     }
 
-    res.status(200).json({ message: "Follow request sent", followActivity });
+    res.status(200).json({ message: "Follow request sent", pending: true, followActivity });
 
   } catch (err) {
     console.error("❌ Follow error:", err.message);
     res.status(500).json({ error: "Failed to follow remote user" });
   }
 };
+
+
+// GET /follow/requests
+exports.getFollowRequests = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const profiles = await cachedProfiles(user.followRequests.map((r) => r.actor));
+    const requests = user.followRequests.map((r) => ({
+      _id: r._id,
+      actor: r.actor,
+      requestedAt: r.requestedAt,
+      handle: profiles.get(r.actor)?.handle || r.actor.split("/users/")[1],
+      displayName: profiles.get(r.actor)?.displayName,
+      avatar: profiles.get(r.actor)?.avatar,
+    }));
+
+    res.status(200).json({ manuallyApprovesFollowers: user.manuallyApprovesFollowers, requests });
+  } catch (err) {
+    console.error("❌ Follow requests error:", err.message);
+    res.status(500).json({ error: "Failed to load follow requests" });
+  }
+};
+
+// Approve or reject one pending request
+const settleRequest = async (req, res, approve) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const request = user.followRequests.id(req.params.requestId);
+    if (!request) return res.status(404).json({ error: "Follow request not found" });
+
+    await settleFollowRequest(user, request, approve);
+
+    res.status(200).json({ message: approve ? "Follow request approved" : "Follow request rejected" });
+  } catch (err) {
+    console.error("❌ Follow request error:", err.message);
+    res.status(500).json({ error: "Failed to update follow request" });
+  }
+};
+
+// POST /follow/requests/:requestId/approve
+exports.approveFollowRequest = (req, res) => settleRequest(req, res, true);
+
+// POST /follow/requests/:requestId/reject
+exports.rejectFollowRequest = (req, res) => settleRequest(req, res, false);
@@ -0,0 +1,92 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const { version } = require("../package.json");
+const { escapeHtml } = require("../utils/postPage");
+
+const NODEINFO_SCHEMA = "http://nodeinfo.diaspora.software/ns/schema";
+const SUPPORTED_VERSIONS = ["2.0", "2.1"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local users who have posted since `since`
+const countActiveUsers = async (since) => {
+  const authors = await Post.distinct("author", { remote: false, createdAt: { $gte: since } });
+  return authors.length;
+};
+
+// GET /.well-known/nodeinfo
+exports.nodeinfoLinks = (req, res) => {
+  res.json({
+    links: SUPPORTED_VERSIONS.map((v) => ({
+      rel: `${NODEINFO_SCHEMA}/${v}`,
+      href: `${process.env.BASE_URL}/nodeinfo/${v}`,
+    })),
+  });
+};
+
+// GET /nodeinfo/:version
+exports.nodeinfo = async (req, res) => {
+  const schemaVersion = req.params.version;
+  if (!SUPPORTED_VERSIONS.includes(schemaVersion)) {
+    return res.status(404).json({ error: "Unsupported NodeInfo version" });
+  }
+
+  try {
+    const now = Date.now();
+    const [total, activeMonth, activeHalfyear, localPosts] = await Promise.all([
+      User.countDocuments(),
+      countActiveUsers(new Date(now - 30 * DAY_MS)),
+      countActiveUsers(new Date(now - 180 * DAY_MS)),
+      Post.countDocuments({ remote: false, boostOf: null }),
+    ]);
+
+    res.setHeader(
+      "Content-Type",
+      `application/json; profile="${NODEINFO_SCHEMA}/${schemaVersion}#"`
+    );
+    res.json({
+      version: schemaVersion,
+      software: { name: "photoflux", version },
+      protocols: ["activitypub"],
+      services: { inbound: [], outbound: [] },
+      openRegistrations: true,
+      usage: {
+        users: { total, activeMonth, activeHalfyear },
+        localPosts,
+      },
+      metadata: { nodeName: "PhotoFlux" },
+    });
+  } catch (err) {
+    console.error("❌ NodeInfo error:", err);
+    res.status(500).json({ error: "Failed to build NodeInfo" });
+  }
+};
+
+const webfingerTemplate = () =>
+  `${process.env.BASE_URL}/.well-known/webfinger?resource={uri}`;
+
+const sendHostMetaJson = (res) => {
+  res.json({
+    links: [{ rel: "lrdd", template: webfingerTemplate() }],
+  });
+};
+
+// GET /.well-known/host-meta (XRD, or JSON when asked for it)
+exports.hostMeta = (req, res) => {
+  res.vary("Accept");
+  if (req.accepts(["application/xrd+xml", "application/json"]) === "application/json") {
+    return sendHostMetaJson(res);
+  }
+
+  res.type("application/xrd+xml").send(
+    `<?xml version="1.0" encoding="UTF-8"?>
+<XRD xmlns="http://docs.oasis-open.org/ns/xri/xrd-1.0">
+  <Link rel="lrdd" template="${escapeHtml(webfingerTemplate())}"/>
+</XRD>
+`
+  );
+};
+
+// GET /.well-known/host-meta.json
+exports.hostMetaJson = (req, res) => {
+  sendHostMetaJson(res);
+};
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const { paginateByCursor } = require("../utils/pagination");
+const { NOTIFICATION_TYPES, describeNotifications, unreadCountFor } = require("../utils/notifications");
+
+// "like,boost" or ["like", "boost"] from the query string, keeping known types only
+const typesFrom = (value) =>
+  [].concat(value || []).flatMap((v) => String(v).split(",")).map((t) => t.trim())
+    .filter((t) => NOTIFICATION_TYPES.includes(t));
+
+// GET /api/notifications - newest first, optionally filtered by type or unread
+exports.listNotifications = async (req, res) => {
+  try {
+    const filter = { recipient: req.user.id };
+    const types = typesFrom(req.query.types);
+    const excluded = typesFrom(req.query.exclude_types);
+    if (types.length > 0 || excluded.length > 0) {
+      filter.type = {
+        ...(types.length > 0 && { $in: types }),
+        ...(excluded.length > 0 && { $nin: excluded }),
+      };
+    }
+    if (req.query.unread === "true") filter.read = false;
+
+    const { items, next, prev } = await paginateByCursor(Notification, filter, {
+      maxId: req.query.max_id,
+      minId: req.query.min_id,
+      limit: req.query.limit,
+      populate: { path: "post", select: "caption imageUrl inReplyTo" },
+    });
+
+    res.status(200).json({
+      items: await describeNotifications(items),
+      next,
+      prev,
+      unread: await unreadCountFor(req.user.id),
+    });
+  } catch (err) {
+    console.error("❌ Error listing notifications:", err.message);
+    res.status(500).json({ error: "Failed to load notifications" });
+  }
+};
+
+// GET /api/notifications/unread-count
+exports.getUnreadCount = async (req, res) => {
+  try {
+    res.status(200).json({ unread: await unreadCountFor(req.user.id) });
+  } catch (err) {
+    console.error("❌ Error counting notifications:", err.message);
+    res.status(500).json({ error: "Failed to count notifications" });
+  }
+};
+
+// POST /api/notifications/read - { ids } marks those, no ids marks all
+exports.markRead = async (req, res) => {
+  try {
+    const filter = { recipient: req.user.id, read: false };
+    if (req.body?.ids !== undefined) {
+      filter._id = { $in: [].concat(req.body.ids).filter((id) => mongoose.isValidObjectId(id)) };
+    }
+
+    await Notification.updateMany(filter, { $set: { read: true } });
+    res.status(200).json({ unread: await unreadCountFor(req.user.id) });
+  } catch (err) {
+    console.error("❌ Error marking notifications read:", err.message);
+    res.status(500).json({ error: "Failed to update notifications" });
+  }
+};
+
+// POST /api/notifications/:id/read
+exports.markOneRead = async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOneAndUpdate(
+        { _id: req.params.id, recipient: req.user.id },
+        { $set: { read: true } }
+      )
+      : null;
+    if (!notification) return res.status(404).json({ error: "Notification not found" });
+
+    res.status(200).json({ unread: await unreadCountFor(req.user.id) });
+  } catch (err) {
+    console.error("❌ Error marking notification read:", err.message);
+    res.status(500).json({ error: "Failed to update notification" });
+  }
+};
@@ -1,86 +1,125 @@
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const User = require('../models/User');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-const mime = require("mime-types"); 
-
-const {sendSignedRequest} = require("../utils/sendSignedRequest");
 
+const { enqueueDelivery, followerInboxes } = require("../utils/deliveryQueue");
+const { resolveInbox, cachedProfiles } = require("../utils/actorResolver");
+const { resolveMentions } = require("../utils/mentions");
+const { normalizeTag, extractHashtags } = require("../utils/hashtags");
+const { paginateByCursor, linkHeader } = require("../utils/pagination");
+const { VISIBILITIES, LISTED, addressPost, canView, viewerFor, visibleTo } = require("../utils/visibility");
+const { AS_CONTEXT, AS_PUBLIC, postUrl, objectUrl, buildNote, buildAnnounce } = require("../utils/activityBuilder");
+const { findStoredPost, findOrFetchPost } = require("../utils/remotePosts");
+const deleteLocalPost = require("../utils/deleteLocalPost");
+const { toFeedItem, homeTimeline } = require("../utils/feedItems");
+const { notify, withdraw, notifyAboutPost } = require("../utils/notifications");
+const { streamNewPost, streamCounts, streamDelete } = require("../utils/streaming");
+const { participantsOf, conversationFor, sendMessage } = require("../utils/conversations");
+
+
+
+
+// to/cc and delivery inboxes for a local post. Followers are addressed (and delivered to)
+// unless the post is direct; mentioned accounts always are, and so is the author of
+// the post being replied to.
+const addressing = async (user, visibility, mentions, parent) => {
+  const replyTo = parent && String(parent.author) !== String(user._id) ? parent.actor : null;
+  const mentioned = [...new Set([...mentions.map((m) => m.actor), replyTo].filter(Boolean))];
+  const { to, cc } = addressPost(visibility, `${process.env.BASE_URL}/users/${user.username}/followers`, mentioned);
+
+  const inboxes = [
+    ...(visibility === "direct" ? [] : await followerInboxes(user)),
+    ...mentions.map((m) => m.inbox),
+    ...(replyTo && parent.remote ? [await resolveInbox(parent.actor)] : []),
+  ];
+  return { to, cc, inboxes };
+};
 
+// Saves a new local post (a reply when `parent` is given) and delivers its Create
+const publishPost = async (user, { caption, imageUrl = "", visibility, parent = null }) => {
+  const actorUrl = `${process.env.DOMAIN}/users/${user.username}`;
+
+  // Mentioned accounts are addressed and get the post delivered to them
+  const mentions = await resolveMentions(caption);
+  const { to, cc, inboxes } = await addressing(user, visibility, mentions, parent);
+
+  const post = new Post({
+    author: user._id,
+    actor: actorUrl,
+    caption,
+    imageUrl,
+    to,
+    cc,
+    visibility,
+    mentions,
+    tags: extractHashtags(caption),
+    inReplyTo: parent ? objectUrl(parent) : null,
+    remote: false,
+  });
+  await post.save();
+
+  // Construct ActivityPub Create activity
+  const postActivity = {
+    "@context": AS_CONTEXT,
+    id: postUrl(post),
+    type: "Create",
+    actor: actorUrl,
+    to: post.to,
+    cc: post.cc,
+    object: buildNote(post, actorUrl),
+  };
+  await enqueueDelivery(user.username, inboxes, postActivity);
+  await notifyAboutPost(post);
+  if (parent) await streamCounts(parent._id);
+  else await streamNewPost(post);
+
+  return post;
+};
 
+const invalidVisibility = (visibility) =>
+  !VISIBILITIES.includes(visibility) && `Visibility must be one of: ${VISIBILITIES.join(", ")}`;
 
 exports.createPost = async (req, res) => {
-  const { caption } = req.body;
+  const { caption, visibility = "public" } = req.body;
   const userId = req.user.id;
 
   try {
+    if (invalidVisibility(visibility)) {
+      return res.status(400).json({ error: invalidVisibility(visibility) });
+    }
+
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ error: "User not found" });
 
-    const actorUrl = `${process.env.DOMAIN}/users/${user.username}`;
-
     //  Get image URL from req.file if uploaded
     let imageUrl = "";
     if (req.file && req.file.path) {
       imageUrl = req.file.path; // Cloudinary image URL
     }
 
-    // Create new Post in DB
-    const newPost = new Post({
-      author: user._id,
-      actor: actorUrl,
-      caption,
-      imageUrl,
-      to: ["https://www.w3.org/ns/activitystreams#Public"],
-      remote: false,
-    });
-
-    await newPost.save();
+    // Direct posts are private messages to the people they mention, kept in the same
+    // conversations incoming direct Notes go to
+    if (visibility === "direct") {
+      const me = `${process.env.BASE_URL}/users/${user.username}`;
+      const participants = participantsOf(me, (await resolveMentions(caption)).map((m) => m.actor));
+      if (participants.length < 2) {
+        return res.status(400).json({ error: "Direct posts need at least one mentioned recipient other than yourself" });
+      }
 
-    // Prepare attachment for ActivityPub
-    let attachment = [];
-    if (imageUrl && typeof imageUrl === "string") {
-      const mediaType = mime.lookup(imageUrl) || "image/jpeg";
-      attachment.push({
-        type: "Image",
-        mediaType,
-        url: imageUrl,
+      const conversation = await conversationFor(participants);
+      const message = await sendMessage(user, conversation, caption, { imageUrl: imageUrl || null });
+      return res.status(201).json({
+        message: "Direct message sent",
+        conversation: conversation._id,
+        directMessage: message,
       });
     }
 
-    // Construct ActivityPub Create activity
-    const postActivity = {
-      "@context": "https://www.w3.org/ns/activitystreams",
-      id: `${process.env.DOMAIN}/posts/${newPost._id}`,
-      type: "Create",
-      actor: actorUrl,
-      to: ["https://www.w3.org/ns/activitystreams#Public"],
-      object: {
-        id: `${process.env.DOMAIN}/posts/${newPost._id}`,
-        type: "Note",
-        published: newPost.createdAt.toISOString(),
-        attributedTo: actorUrl,
-        content: caption,
-        attachment,
-      },
-    };
-
-    //  Send to followers
-    const followers = user.followers || [];
-    for (const followerActor of followers) {
-      const inboxUrl = followerActor.endsWith("/inbox")
-        ? followerActor
-        : `${followerActor}/inbox`;
-
-      try {
-        await sendSignedRequest(user.username, inboxUrl, postActivity);
-        console.log(` Post sent to ${inboxUrl}`);
-      } catch (err) {
-        console.error(`❌ Failed to send post to ${inboxUrl}:`, err.message);
-      }
-    }
+    const newPost = await publishPost(user, { caption, imageUrl, visibility });
 
     res.status(201).json({
       message: "Post created and federated",
@@ -97,19 +136,343 @@ exports.createPost = async (req, res) => {
 
 
 
+// PUT /:postId
+// Applies a new caption to a local post, keeping the old one in its history,
+// and delivers the Update to everyone the post is addressed to
+const editPost = async (user, post, caption) => {
+  const mentions = await resolveMentions(caption);
+
+  const now = new Date();
+  post.editHistory.push({ caption: post.caption, editedAt: now });
+  post.caption = caption;
+  post.editedAt = now;
+  post.mentions = mentions;
+  post.tags = extractHashtags(caption);
+  const parent = post.inReplyTo ? await findStoredPost(post.inReplyTo) : null;
+  const { to, cc, inboxes } = await addressing(user, post.visibility, mentions, parent);
+  post.to = to;
+  post.cc = cc;
+  await post.save();
+
+  const actorUrl = `${process.env.DOMAIN}/users/${user.username}`;
+  const updateActivity = {
+    "@context": AS_CONTEXT,
+    id: `${postUrl(post)}#updates/${now.getTime()}`,
+    type: "Update",
+    actor: actorUrl,
+    to: post.to,
+    cc: post.cc,
+    object: buildNote(post, actorUrl),
+  };
+  await enqueueDelivery(user.username, inboxes, updateActivity);
+
+  return post;
+};
+
+exports.updatePost = async (req, res) => {
+  const { caption } = req.body;
+
+  try {
+    if (typeof caption !== "string" || !caption.trim()) {
+      return res.status(400).json({ error: "Caption is required" });
+    }
+
+    const post = await Post.findById(req.params.postId);
+    if (!post || post.boostOf) return res.status(404).json({ error: "Post not found" });
+
+    if (post.remote || post.author?.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Not authorized to edit this post" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (caption === post.caption) {
+      return res.status(200).json({ message: "Post unchanged", post });
+    }
+
+    await editPost(user, post, caption);
+
+    res.status(200).json({ message: "Post updated and federated", post });
+  } catch (err) {
+    console.error("❌ Error updating post:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+
+
+
+
+
+// POST /:postId/replies - { caption } (the comment form sends { content })
+exports.createReply = async (req, res) => {
+  const caption = String(req.body.caption ?? req.body.content ?? "").trim();
+  if (!caption) return res.status(400).json({ error: "Reply text is required" });
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    let parent = mongoose.isValidObjectId(req.params.postId) ? await Post.findById(req.params.postId) : null;
+
+    // Replying to a boost answers the boosted post
+    if (parent?.boostOf) parent = await Post.findById(parent.boostOf);
+    if (!parent || !canView(parent, await viewerFor(req))) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Replies keep the parent's visibility unless asked otherwise
+    const visibility = req.body.visibility || parent.visibility || "public";
+    if (invalidVisibility(visibility)) {
+      return res.status(400).json({ error: invalidVisibility(visibility) });
+    }
+
+    const reply = await publishPost(user, { caption, visibility, parent });
+    await reply.populate("author", "username displayName");
+
+    res.status(201).json({ message: "Reply created and federated", reply: reply.toObject() });
+  } catch (err) {
+    console.error("❌ Error creating reply:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// GET /:postId/replies - direct replies to a post (local or remote), oldest first
+exports.getReplies = async (req, res) => {
+  try {
+    let parent = mongoose.isValidObjectId(req.params.postId) ? await Post.findById(req.params.postId) : null;
+    if (parent?.boostOf) parent = await Post.findById(parent.boostOf);
+
+    const viewer = await viewerFor(req);
+    if (!parent || !canView(parent, viewer)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const replies = await Post.find({ $and: [{ inReplyTo: objectUrl(parent) }, visibleTo(viewer)] })
+      .sort({ createdAt: 1 })
+      .populate("author", "username displayName");
+
+    // How many (visible) replies each reply has, so clients can expand deeper levels
+    const nested = await Post.find({
+      $and: [{ inReplyTo: { $in: replies.map(objectUrl) } }, visibleTo(viewer)],
+    }).select("inReplyTo");
+    const counts = new Map();
+    nested.forEach((post) => counts.set(post.inReplyTo, (counts.get(post.inReplyTo) || 0) + 1));
+
+    const profiles = await cachedProfiles(replies.filter((post) => post.remote).map((post) => post.actor));
+
+    res.status(200).json(replies.map((reply) => ({
+      ...toFeedItem(reply, profiles),
+      repliesCount: counts.get(objectUrl(reply)) || 0,
+    })));
+  } catch (err) {
+    console.error("❌ Error in getReplies:", err.message);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// How many ancestors a thread context walks up (fetching remote ones as needed),
+// and how many descendants it returns at most
+const CONTEXT_ANCESTOR_LIMIT = 20;
+const CONTEXT_DESCENDANT_LIMIT = 200;
+
+// The posts `post` replies to, root first. The walk stops at the limit, or at an
+// ancestor that cannot be fetched or that the viewer may not see. Only signed-in
+// viewers make us fetch missing remote ancestors; anonymous ones get what is stored.
+const ancestorsOf = async (post, viewer) => {
+  const ancestors = [];
+  const seen = new Set([objectUrl(post)]);
+  const findParent = viewer ? findOrFetchPost : findStoredPost;
+  let current = post;
+
+  while (current.inReplyTo && !seen.has(current.inReplyTo) && ancestors.length < CONTEXT_ANCESTOR_LIMIT) {
+    seen.add(current.inReplyTo);
+    let parent = null;
+    try {
+      parent = await findParent(current.inReplyTo);
+    } catch (err) {
+      console.log(`⚠️ Could not fetch ancestor ${current.inReplyTo}:`, err.message);
+    }
+    if (!parent || !canView(parent, viewer)) break;
+
+    ancestors.unshift(parent);
+    current = parent;
+  }
+
+  await Post.populate(ancestors, { path: "author", select: "username displayName" });
+  return ancestors;
+};
+
+// Visible replies to `post` at any depth, level by level and oldest first within a level
+const descendantsOf = async (post, viewer) => {
+  const descendants = [];
+  let level = [objectUrl(post)];
+
+  while (level.length > 0 && descendants.length < CONTEXT_DESCENDANT_LIMIT) {
+    const replies = await Post.find({ $and: [{ inReplyTo: { $in: level } }, visibleTo(viewer)] })
+      .sort({ createdAt: 1 })
+      .limit(CONTEXT_DESCENDANT_LIMIT - descendants.length)
+      .populate("author", "username displayName");
+    descendants.push(...replies);
+    level = replies.map(objectUrl);
+  }
+
+  return descendants;
+};
+
+// GET /api/posts/:postId/context - ancestors (root first) and descendants as a reply tree
+exports.getContext = async (req, res) => {
+  try {
+    let post = mongoose.isValidObjectId(req.params.postId)
+      ? await Post.findById(req.params.postId).populate("author", "username displayName")
+      : null;
+    if (post?.boostOf) post = await Post.findById(post.boostOf).populate("author", "username displayName");
+
+    const viewer = await viewerFor(req);
+    if (!post || !canView(post, viewer)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const [ancestors, descendants] = await Promise.all([
+      ancestorsOf(post, viewer),
+      descendantsOf(post, viewer),
+    ]);
+
+    const remoteActors = [post, ...ancestors, ...descendants].filter((p) => p.remote).map((p) => p.actor);
+    const profiles = await cachedProfiles([...new Set(remoteActors)]);
+
+    // Each descendant hangs under its parent; direct replies form the top level
+    const nodes = new Map(descendants.map((reply) => [
+      objectUrl(reply),
+      { ...toFeedItem(reply, profiles), replies: [] },
+    ]));
+    const tree = [];
+    descendants.forEach((reply) => {
+      const node = nodes.get(objectUrl(reply));
+      const parent = nodes.get(reply.inReplyTo);
+      (parent ? parent.replies : tree).push(node);
+    });
+
+    res.status(200).json({
+      ancestors: ancestors.map((ancestor) => toFeedItem(ancestor, profiles)),
+      post: toFeedItem(post, profiles),
+      descendants: tree,
+    });
+  } catch (err) {
+    console.error("❌ Error in getContext:", err.message);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+
+
+
+
+
+// A comment is a reply post; top-level posts and boosts are not comments
+const findComment = async (id) =>
+  mongoose.isValidObjectId(id)
+    ? Post.findOne({ _id: id, inReplyTo: { $ne: null }, boostOf: null })
+    : null;
+
+// PUT /api/comments/:id - { content } (or { caption }); only the comment's author may edit it
+exports.updateComment = async (req, res) => {
+  const caption = String(req.body.content ?? req.body.caption ?? "").trim();
+  if (!caption) return res.status(400).json({ error: "Comment content is required" });
+
+  try {
+    const comment = await findComment(req.params.id);
+    if (!comment) return res.status(404).json({ error: "Comment not found" });
+
+    if (comment.remote || comment.author?.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Not authorized to edit this comment" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (caption !== comment.caption) await editPost(user, comment, caption);
+    await comment.populate("author", "username displayName");
+
+    res.status(200).json(comment.toObject());
+  } catch (err) {
+    console.error("❌ Error updating comment:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// DELETE /api/comments/:id - by the comment's author, or the owner of the post it answers.
+// Remote comments are only removed here; local ones are also deleted on other servers.
+exports.deleteComment = async (req, res) => {
+  try {
+    const comment = await findComment(req.params.id);
+    if (!comment) return res.status(404).json({ error: "Comment not found" });
+
+    const isAuthor = comment.author?.toString() === req.user.id;
+    const parent = isAuthor ? null : await findStoredPost(comment.inReplyTo);
+    if (!isAuthor && parent?.author?.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Not authorized to delete this comment" });
+    }
+
+    await deleteLocalPost(comment);
+    res.status(200).json({ message: "Comment deleted" });
+  } catch (err) {
+    console.error("❌ Error deleting comment:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+
+
+
+
+
+// Like/Undo{Like} for a remote post goes to the post author's inbox
+const federateLike = async (username, post, undo) => {
+  if (!post.remote || !post.actor || !post.activityId) return;
+
+  const actorUrl = `${process.env.BASE_URL}/users/${username}`;
+  const like = {
+    id: `${actorUrl}#likes/${post._id}`,
+    type: "Like",
+    actor: actorUrl,
+    object: post.activityId,
+  };
+  const activity = undo
+    ? {
+      "@context": AS_CONTEXT,
+      id: `${actorUrl}#likes/${post._id}/undo`,
+      type: "Undo",
+      actor: actorUrl,
+      object: like,
+    }
+    : { "@context": AS_CONTEXT, ...like };
+
+  const inboxUrl = await resolveInbox(post.actor);
+  if (!inboxUrl) return;
+  await enqueueDelivery(username, inboxUrl, activity);
+};
+
 // POST /:postId/like
 exports.likePost = async (req, res) => {
   try {
-    const userId = req.user.username; 
+    const username = req.user.username;
+    const actorUrl = req.user.actor;
     const postId = req.params.postId;
-    console.log("➡️ likePost triggered | user:", userId, "| postId:", postId);
+    console.log("➡️ likePost triggered | user:", username, "| postId:", postId);
 
     const post = await Post.findById(postId);
-    if (!post) return res.status(404).json({ error: "Post not found" });
+    if (!post || !canView(post, await viewerFor(req))) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-    if (!post.likes.includes(userId)) {
-      post.likes.push(userId);
+    if (!post.likes.includes(actorUrl)) {
+      post.likes.push(actorUrl);
       await post.save();
+      await federateLike(username, post, false);
+      await notify(post.author, "like", actorUrl, post);
+      await streamCounts(post._id);
     }
 
     return res.status(200).json({
@@ -126,15 +489,22 @@ exports.likePost = async (req, res) => {
 // DELETE /:postId/like
 exports.unlikePost = async (req, res) => {
   try {
-    const userId = req.user.username; 
+    const username = req.user.username;
+    const actorUrl = req.user.actor;
     const postId = req.params.postId;
 
     const post = await Post.findById(postId);
-    if (!post) return res.status(404).json({ error: "Post not found" });
+    if (!post || !canView(post, await viewerFor(req))) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-    if (post.likes.includes(userId)) {
-      post.likes = post.likes.filter((id) => id !== userId);
+    // Older likes were stored as bare usernames
+    if (post.likes.includes(actorUrl) || post.likes.includes(username)) {
+      post.likes = post.likes.filter((id) => id !== actorUrl && id !== username);
       await post.save();
+      await federateLike(username, post, true);
+      await withdraw(post.author, "like", actorUrl, post);
+      await streamCounts(post._id);
     }
 
     return res.status(200).json({
@@ -154,55 +524,186 @@ exports.unlikePost = async (req, res) => {
 
 
 
+// Followers' inboxes plus the original author's when the post is remote
+const boostInboxes = async (user, original) => {
+  const inboxes = await followerInboxes(user);
+  if (original.remote && original.actor) {
+    const authorInbox = await resolveInbox(original.actor);
+    if (authorInbox) inboxes.push(authorInbox);
+  }
+  return inboxes;
+};
+
+// POST /:postId/boost
+exports.boostPost = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    let original = await Post.findById(req.params.postId);
+
+    // Boosting a boost reshares the underlying post
+    if (original?.boostOf) {
+      original = await Post.findById(original.boostOf);
+    }
+    if (!original) return res.status(404).json({ error: "Post not found" });
+
+    // Followers-only and direct posts stay with their audience
+    if (!LISTED.includes(original.visibility)) {
+      return res.status(403).json({ error: "Only public and unlisted posts can be boosted" });
+    }
+
+    const existing = await Post.findOne({ boostOf: original._id, author: user._id });
+    if (existing) {
+      return res.status(200).json({ success: true, boosted: true, boost: existing });
+    }
+
+    const actorUrl = `${process.env.BASE_URL}/users/${user.username}`;
+    const boost = new Post({
+      author: user._id,
+      actor: actorUrl,
+      boostOf: original._id,
+      to: [AS_PUBLIC],
+      remote: false,
+    });
+    boost.activityId = `${postUrl(boost)}/activity`;
+    await boost.save();
+
+    const announce = {
+      "@context": AS_CONTEXT,
+      ...buildAnnounce(boost, original, actorUrl),
+    };
+    await enqueueDelivery(user.username, await boostInboxes(user, original), announce);
+    await notify(original.author, "boost", actorUrl, original);
+    await streamNewPost(boost);
+
+    return res.status(201).json({ success: true, boosted: true, boost });
+  } catch (err) {
+    console.error("Boost error:", err.message);
+    res.status(500).json({ error: "Failed to boost post" });
+  }
+};
+
+// DELETE /:postId/boost
+exports.unboostPost = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const boost = await Post.findOne({ boostOf: req.params.postId, author: user._id });
+    if (!boost) {
+      return res.status(200).json({ success: true, boosted: false });
+    }
+
+    const original = await Post.findById(boost.boostOf);
+    await boost.deleteOne();
+    await streamDelete(boost);
+
+    if (original) {
+      const actorUrl = `${process.env.BASE_URL}/users/${user.username}`;
+      const undo = {
+        "@context": AS_CONTEXT,
+        id: `${boost.activityId}/undo`,
+        type: "Undo",
+        actor: actorUrl,
+        object: buildAnnounce(boost, original, actorUrl),
+      };
+      await enqueueDelivery(user.username, await boostInboxes(user, original), undo);
+      await withdraw(original.author, "boost", actorUrl, original);
+    }
+
+    return res.status(200).json({ success: true, boosted: false });
+  } catch (err) {
+    console.error("Unboost error:", err.message);
+    res.status(500).json({ error: "Failed to remove boost" });
+  }
+};
+
+
+
+
+
+
+
+
+// GET /api/posts/feed - the home timeline, newest first; older and newer pages are in `Link`
 exports.getFeed = async (req, res) => {
   try {
     const localUser = await User.findById(req.user.id);
     if (!localUser) return res.status(404).json({ message: "User not found" });
 
-    const following = localUser.following || [];
+    const { items, next, prev } = await homeTimeline(localUser, {
+      maxId: req.query.max_id,
+      minId: req.query.min_id,
+      sinceId: req.query.since_id,
+      limit: req.query.limit,
+    });
 
-    const localFollowing = following.filter((url) => url.startsWith(process.env.BASE_URL));
-    const remoteFollowing = following.filter((url) => !url.startsWith(process.env.BASE_URL));
+    const link = linkHeader(req, { next, prev });
+    if (link) res.set("Link", link);
+    res.status(200).json(items);
+  } catch (err) {
+    console.error("❌ Error in getFeed:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+};
 
-    // LOCAL POSTS (by you + those you follow)
-    const localUsernames = localFollowing.map((url) => url.split("/users/")[1]);
-    const localFollowingUsers = await User.find({ username: { $in: localUsernames } });
-    const localFollowingIds = localFollowingUsers.map((user) => user._id);
 
-    const localPosts = await Post.find({
-      author: { $in: [...localFollowingIds, localUser._id] },
-      remote: false
-    })
-      .sort({ createdAt: -1 })
-      .populate("author", "username displayName");
 
-    // REMOTE POSTS (already saved by inbox)
-    const remotePosts = await Post.find({
-      actor: { $in: remoteFollowing },
-      remote: true
-    }).sort({ createdAt: -1 });
-
-    // Optional: format remotePosts to match structure of local ones
-    const formattedRemotePosts = remotePosts.map((post) => ({
-      _id: post._id,
-      actor: post.actor,
-      author: {
-        username: post.actor?.split("/users/")[1],
-        displayName: post.actor?.split("/users/")[1]
-      },
-      imageUrl: post.imageUrl,
-      caption: post.caption,
-      createdAt: post.createdAt
-    }));
-
-    // Combine and sort
-    const allPosts = [...localPosts, ...formattedRemotePosts].sort(
-      (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+// GET /mentions - posts (local or remote) that mention the logged-in user, newest first
+exports.getMentions = async (req, res) => {
+  try {
+    const { items, next } = await paginateByCursor(
+      Post,
+      { $and: [{ "mentions.actor": req.user.actor, boostOf: null }, visibleTo(await viewerFor(req))] },
+      {
+        maxId: req.query.max_id,
+        limit: req.query.limit,
+        populate: { path: "author", select: "username displayName" },
+      }
     );
 
-    res.status(200).json(allPosts);
+    const profiles = await cachedProfiles(items.filter((post) => post.remote).map((post) => post.actor));
+
+    res.status(200).json({
+      items: items.map((post) => toFeedItem(post, profiles)),
+      next,
+    });
   } catch (err) {
-    console.error("❌ Error in getFeed:", err.message);
+    console.error("❌ Error in getMentions:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+
+
+// GET /api/tags/:tag - public local and remote posts with a hashtag, newest first
+exports.getTagTimeline = async (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  if (!tag) return res.status(400).json({ message: "Tag is required" });
+
+  try {
+    const { items, next, prev } = await paginateByCursor(
+      Post,
+      { tags: tag, boostOf: null, visibility: { $nin: ["unlisted", "followers", "direct"] } },
+      {
+        maxId: req.query.max_id,
+        minId: req.query.min_id,
+        limit: req.query.limit,
+        populate: { path: "author", select: "username displayName" },
+      }
+    );
+
+    const profiles = await cachedProfiles(items.filter((post) => post.remote).map((post) => post.actor));
+
+    res.status(200).json({
+      tag,
+      items: items.map((post) => toFeedItem(post, profiles)),
+      next,
+      prev,
+    });
+  } catch (err) {
+    console.error("❌ Error in getTagTimeline:", err.message);
     res.status(500).json({ message: "Server error" });
   }
 };
@@ -0,0 +1,111 @@
+const User = require("../models/User");
+const { resolveActor } = require("../utils/actorResolver");
+const { localHost, parseHandle, lookupActorUrl } = require("../utils/webfinger");
+const { findOrFetchPost } = require("../utils/remotePosts");
+const { objectUrl } = require("../utils/activityBuilder");
+const { canView, viewerOf } = require("../utils/visibility");
+
+const stripHtml = (html = "") => html.replace(/<\/?[^>]+(>|$)/g, "");
+
+const localUsernameFromUrl = (url) => {
+  const prefix = `${process.env.BASE_URL}/users/`;
+  return url.startsWith(prefix) ? url.slice(prefix.length).split(/[/?#]/)[0] : null;
+};
+
+const localProfile = (user) => ({
+  id: `${process.env.BASE_URL}/users/${user.username}`,
+  handle: `${user.username}@${localHost()}`,
+  preferredUsername: user.username,
+  displayName: user.displayName || user.username,
+  summary: user.bio || "",
+  avatar: null,
+  url: `${process.env.BASE_URL}/users/${user.username}`,
+  local: true,
+});
+
+const remoteProfile = (actor) => ({
+  id: actor.actorId,
+  handle: actor.handle,
+  preferredUsername: actor.preferredUsername,
+  displayName: actor.displayName || actor.preferredUsername,
+  summary: stripHtml(actor.summary),
+  avatar: actor.avatar || null,
+  url: actor.url || actor.actorId,
+  local: false,
+});
+
+// Profile of any actor URL, local or remote (null when it can't be resolved)
+const profileFor = async (actorUrl) => {
+  const localUsername = localUsernameFromUrl(actorUrl);
+  if (localUsername) {
+    const user = await User.findOne({ username: localUsername });
+    return user && localProfile(user);
+  }
+  const actor = await resolveActor(actorUrl);
+  return actor && remoteProfile(actor);
+};
+
+const followState = (viewer, actorId) => {
+  if (viewer.following.includes(actorId)) return "following";
+  if (viewer.pendingFollowing.some((p) => p.actor === actorId)) return "pending";
+  return "none";
+};
+
+// GET /api/resolve?acct=user@domain  (also accepts actor and post URLs)
+exports.resolve = async (req, res) => {
+  const query = String(req.query.acct || req.query.url || "").trim();
+  if (!query) return res.status(400).json({ error: "acct or url is required" });
+
+  try {
+    const viewer = await User.findById(req.user.id);
+    if (!viewer) return res.status(404).json({ error: "User not found" });
+
+    // Handles go through WebFinger (our own domain is answered locally)
+    if (!/^https?:\/\//i.test(query)) {
+      const parsed = parseHandle(query);
+      if (!parsed) {
+        return res.status(400).json({ error: "Use username@domain, an actor URL or a post URL" });
+      }
+
+      const actorUrl = parsed.domain === localHost()
+        ? `${process.env.BASE_URL}/users/${parsed.username}`
+        : await lookupActorUrl(query);
+
+      const profile = await profileFor(actorUrl);
+      if (!profile) return res.status(404).json({ error: "Could not resolve that account" });
+      return res.status(200).json({ type: "actor", actor: profile, followState: followState(viewer, profile.id) });
+    }
+
+    const profile = await profileFor(query);
+    if (profile) {
+      return res.status(200).json({ type: "actor", actor: profile, followState: followState(viewer, profile.id) });
+    }
+
+    const post = await findOrFetchPost(query);
+    // Posts the viewer may not see look the same as missing ones
+    if (!post || post.boostOf || !canView(post, viewerOf(viewer))) {
+      return res.status(404).json({ error: "Nothing found at that URL" });
+    }
+
+    const author = await profileFor(post.actor);
+    res.status(200).json({
+      type: "post",
+      post: {
+        _id: post._id,
+        id: objectUrl(post),
+        actor: post.actor,
+        caption: post.caption,
+        imageUrl: post.imageUrl,
+        createdAt: post.createdAt,
+      },
+      author,
+      followState: author ? followState(viewer, author.id) : "none",
+    });
+  } catch (err) {
+    console.error("❌ Resolve error:", err.message);
+    if (err.isAxiosError || err.message.startsWith("No ActivityPub actor")) {
+      return res.status(404).json({ error: "Could not resolve that account or URL" });
+    }
+    res.status(500).json({ error: "Server error" });
+  }
+};
@@ -0,0 +1,7 @@
+const { openStream } = require("../utils/streaming");
+
+// GET /api/streaming - Server-Sent Events for the signed-in user: `update` (new feed
+// items), `counts` (likes and replies), `delete` and `notification`
+exports.stream = (req, res) => {
+  openStream(req, res, req.user.id);
+};
@@ -7,6 +7,11 @@ const axios = require("axios");
 const User = require("../models/User");
 const Post = require("../models/Post");
 const signRequest = require("../utils/httpSignature");
+const { REQUEST_TIMEOUT_MS } = require("../utils/sendSignedRequest");
+const { resolveInbox } = require("../utils/actorResolver");
+const { viewerFor, visibleTo } = require("../utils/visibility");
+const { notify, withdraw } = require("../utils/notifications");
+const { approveAllFollowRequests } = require("../utils/followRequests");
 
 
 // controllers/userController.js
@@ -35,7 +40,7 @@ exports.getUserById = async (req, res) => {
 exports.updateUser = async (req, res) => {
   const user = req.user; // Assuming user is attached to req by auth middleware
   const userId = req.params.id;
-  const { bio, age, displayName } = req.body;
+  const { bio, age, displayName, manuallyApprovesFollowers } = req.body;
 
   if (!user) {
     return res.status(401).json({ error: "Unauthorized" });
@@ -51,13 +56,18 @@ exports.updateUser = async (req, res) => {
   try {
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      { $set: { bio, age, displayName } },
+      { $set: { bio, age, displayName, manuallyApprovesFollowers } },
       { new: true, runValidators: true }
     ).select("-password");
     if (!updatedUser) {
       return res.status(404).json({ error: "User not found" });
     }
 
+    // Requests left pending when the account is unlocked are accepted
+    if (!updatedUser.manuallyApprovesFollowers && updatedUser.followRequests.length > 0) {
+      await approveAllFollowRequests(updatedUser);
+    }
+
     res.status(200).json({
       success: true,
       user: updatedUser,
@@ -98,6 +108,29 @@ exports.followUser = async (req, res) => {
 
     const currentUsername = currentUser.username;
 
+    // Locked accounts get a follow request instead
+    const alreadyFollowing = currentUser.following.includes(targetUser.actorUrl);
+    if (targetUser.manuallyApprovesFollowers && !alreadyFollowing) {
+      if (!targetUser.followRequests.some((r) => r.actor === currentUser.actorUrl)) {
+        targetUser.followRequests.push({
+          actor: currentUser.actorUrl,
+          activity: {
+            id: `${currentUser.actorUrl}/follow/${Date.now()}`,
+            type: "Follow",
+            actor: currentUser.actorUrl,
+            object: targetUser.actorUrl,
+          },
+        });
+        await targetUser.save();
+        await notify(targetUser._id, "follow_request", currentUser.actorUrl);
+      }
+      if (!currentUser.pendingFollowing.some((p) => p.actor === targetUser.actorUrl)) {
+        currentUser.pendingFollowing.push({ actor: targetUser.actorUrl });
+        await currentUser.save();
+      }
+      return res.status(200).json({ message: "Follow request sent", pending: true });
+    }
+
     //  Add to following list
     if (!currentUser.following.includes(targetUser.actorUrl)) {
       currentUser.following.push(targetUser.actorUrl);
@@ -108,6 +141,7 @@ exports.followUser = async (req, res) => {
     if (!targetUser.followers.includes(currentUser.actorUrl)) {
       targetUser.followers.push(currentUser.actorUrl);
       await targetUser.save();
+      await notify(targetUser._id, "follow", currentUser.actorUrl);
     }
 
     res.status(200).json({ message: "Followed successfully" });
@@ -138,17 +172,25 @@ exports.unfollowUser = async (req, res) => {
     const currentActor = currentUser.actorUrl;
     const targetActor = targetUser.actorUrl;
 
-    // Remove from following
+    // Remove from following (and cancel a pending request)
     currentUser.following = currentUser.following.filter(
       (actor) => actor !== targetActor
     );
+    currentUser.pendingFollowing = currentUser.pendingFollowing.filter(
+      (p) => p.actor !== targetActor
+    );
     await currentUser.save();
 
     // Remove from followers
     targetUser.followers = targetUser.followers.filter(
       (actor) => actor !== currentActor
     );
+    targetUser.followRequests = targetUser.followRequests.filter(
+      (r) => r.actor !== currentActor
+    );
     await targetUser.save();
+    await withdraw(targetUser._id, "follow", currentActor);
+    await withdraw(targetUser._id, "follow_request", currentActor);
 
     // If target is remote, send Undo Follow
     if (targetActor.startsWith("http") && !targetActor.includes(process.env.BASE_URL)) {
@@ -164,7 +206,8 @@ exports.unfollowUser = async (req, res) => {
         }
       };
 
-      const inboxUrl = targetActor + "/inbox";
+      const inboxUrl = await resolveInbox(targetActor);
+      if (!inboxUrl) throw new Error(`No inbox found for ${targetActor}`);
 
       const headers = await signRequest({
         actor: currentActor,
@@ -173,7 +216,7 @@ exports.unfollowUser = async (req, res) => {
         username: currentUser.username
       });
 
-      await axios.post(inboxUrl, undoActivity, { headers });
+      await axios.post(inboxUrl, undoActivity, { headers, timeout: REQUEST_TIMEOUT_MS });
       console.log(`Sent Undo follow to ${inboxUrl}`);
     }
 
@@ -196,7 +239,10 @@ exports.getUserPosts = async (req, res) => {
 
   if (!user) return res.status(404).json({ error: "User not found" });
 
-  const posts = await Post.find({ author: user._id })
+  // Anonymous viewers only get public and unlisted posts; replies live in their threads
+  const posts = await Post.find({
+    $and: [{ author: user._id, boostOf: null, inReplyTo: null }, visibleTo(await viewerFor(req))],
+  })
     .sort({ createdAt: -1 })
     .populate("author", "username");
 
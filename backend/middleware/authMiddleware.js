@@ -1,5 +1,6 @@
 // middleware/authMiddleware.js
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
 
 exports.verifyToken = (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
@@ -15,6 +16,42 @@ exports.verifyToken = (req, res, next) => {
   }
 };
 
+// Like verifyToken, but lets anonymous requests through (req.user stays unset)
+exports.optionalToken = (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return next();
 
+  try {
+    req.user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    // An expired or bad token is treated as no token
+  }
+  next();
+};
 
+// Like verifyToken, but also takes the token from `?access_token=`, since
+// browsers can't set headers on an EventSource
+exports.verifyStreamToken = (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1] || req.query.access_token;
+  if (!token) return res.status(401).json({ error: "No token provided" });
+
+  try {
+    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    next();
+  } catch (err) {
+    return res.status(403).json({ error: "Invalid token" });
+  }
+};
 
+// Use after verifyToken: only lets instance admins through
+exports.requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user?.id).select("isAdmin");
+    if (!user || !user.isAdmin) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    next();
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to check admin access" });
+  }
+};
@@ -0,0 +1,148 @@
+// middleware/verifySignature.js
+const crypto = require("crypto");
+const { resolveActorByKeyId } = require("../utils/actorResolver");
+
+// Reject deliveries whose Date header is further than this from our clock
+const MAX_CLOCK_SKEW_MS = 12 * 60 * 60 * 1000;
+
+// Parses `keyId="...",algorithm="...",headers="...",signature="..."`
+function parseSignatureHeader(header) {
+  const params = {};
+  const regex = /(\w+)="([^"]*)"/g;
+  let match;
+  while ((match = regex.exec(header)) !== null) {
+    params[match[1]] = match[2];
+  }
+  return params;
+}
+
+function buildSigningString(req, headerNames) {
+  return headerNames
+    .map((name) => {
+      if (name === "(request-target)") {
+        return `(request-target): ${req.method.toLowerCase()} ${req.originalUrl}`;
+      }
+      const value = req.headers[name];
+      if (value === undefined) {
+        throw new Error(`Signed header missing from request: ${name}`);
+      }
+      return `${name}: ${value}`;
+    })
+    .join("\n");
+}
+
+function verifyDigest(req) {
+  const header = req.headers.digest;
+  if (!header) return false;
+
+  const expected = crypto
+    .createHash("sha256")
+    .update(req.rawBody || "")
+    .digest("base64");
+
+  return header
+    .split(",")
+    .some((part) => part.trim() === `SHA-256=${expected}`);
+}
+
+function verifyWithKey(signingString, signature, publicKeyPem) {
+  return crypto
+    .createVerify("RSA-SHA256")
+    .update(signingString)
+    .verify(publicKeyPem, signature, "base64");
+}
+
+// Checks the request's HTTP Signature. Resolves to `{ signer }` (the signing actor)
+// or to `{ status, error }` when the request can't be trusted.
+async function checkSignature(req, requiredHeaders) {
+  const header = req.headers.signature;
+  if (!header) {
+    console.log("❌ Missing Signature header");
+    return { status: 401, error: "Missing Signature header" };
+  }
+
+  const { keyId, algorithm, headers, signature } = parseSignatureHeader(header);
+  if (!keyId || !signature) {
+    return { status: 400, error: "Malformed Signature header" };
+  }
+
+  if (algorithm && !["rsa-sha256", "hs2019"].includes(algorithm.toLowerCase())) {
+    return { status: 400, error: `Unsupported signature algorithm: ${algorithm}` };
+  }
+
+  const headerNames = (headers || "date").toLowerCase().split(/\s+/);
+  for (const required of requiredHeaders) {
+    if (!headerNames.includes(required)) {
+      return { status: 401, error: `Signature must cover ${required}` };
+    }
+  }
+
+  const date = Date.parse(req.headers.date);
+  if (Number.isNaN(date) || Math.abs(Date.now() - date) > MAX_CLOCK_SKEW_MS) {
+    console.log("❌ Stale or invalid Date header:", req.headers.date);
+    return { status: 401, error: "Date header is missing or outside the allowed window" };
+  }
+
+  if (requiredHeaders.includes("digest") && !verifyDigest(req)) {
+    console.log("❌ Digest mismatch for delivery signed by", keyId);
+    return { status: 401, error: "Digest does not match request body" };
+  }
+
+  try {
+    const signingString = buildSigningString(req, headerNames);
+
+    let signer = await resolveActorByKeyId(keyId);
+    let valid = verifyWithKey(signingString, signature, signer.publicKeyPem);
+
+    // The remote may have rotated its key since we cached it
+    if (!valid) {
+      signer = await resolveActorByKeyId(keyId, { force: true });
+      valid = verifyWithKey(signingString, signature, signer.publicKeyPem);
+    }
+
+    if (!valid) {
+      console.log("❌ Invalid signature from", keyId);
+      return { status: 401, error: "Invalid signature" };
+    }
+
+    // A key document can claim any owner; only trust the key if that actor publishes it
+    if (signer.publicKeyId !== keyId) {
+      console.log(`❌ Key ${keyId} is not published by its claimed owner ${signer.actorId}`);
+      return { status: 401, error: "Signing key does not belong to its owner" };
+    }
+
+    return { signer };
+  } catch (err) {
+    console.error("❌ Signature verification failed:", err.message);
+    return { status: 401, error: "Signature verification failed" };
+  }
+}
+
+// ✅ Verifies the HTTP Signature of an incoming inbox POST
+const verifySignature = async (req, res, next) => {
+  const { signer, status, error } = await checkSignature(req, ["(request-target)", "host", "date", "digest"]);
+  if (!signer) return res.status(status).json({ error });
+
+  const activityActor = typeof req.body?.actor === "string" ? req.body.actor : req.body?.actor?.id;
+  if (activityActor && activityActor !== signer.actorId) {
+    console.log(`❌ Actor ${activityActor} does not own key ${signer.publicKeyId}`);
+    return res.status(401).json({ error: "Activity actor does not match signing key" });
+  }
+
+  req.signer = signer.actorId;
+  next();
+};
+
+// For signed GETs of objects that aren't public (authorized fetch): sets `req.signer`
+// when the request carries a valid signature. Like optionalToken, a bad signature is
+// treated as none, and the route decides what an anonymous request may see.
+const optionalSignature = async (req, res, next) => {
+  if (!req.headers.signature) return next();
+
+  const { signer } = await checkSignature(req, ["(request-target)", "host", "date"]);
+  if (signer) req.signer = signer.actorId;
+  next();
+};
+
+module.exports = verifySignature;
+module.exports.optionalSignature = optionalSignature;
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// A private conversation: direct Notes exchanged between a fixed set of actors
+const conversationSchema = new mongoose.Schema({
+  // Actor URLs of everyone taking part (local and remote), sorted
+  participants: { type: [String], index: true },
+  // ActivityPub `context` shared by the conversation's Notes
+  context: { type: String, unique: true, sparse: true },
+  lastMessageAt: { type: Date, default: Date.now },
+  // When each local participant last read the conversation
+  reads: [{
+    actor: String,
+    readAt: Date,
+    _id: false
+  }]
+}, { timestamps: true });
+
+module.exports = mongoose.model("Conversation", conversationSchema);
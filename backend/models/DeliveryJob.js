@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+const deliveryJobSchema = new mongoose.Schema({
+  actorUsername: { type: String, required: true }, // local user whose key signs the request
+  inbox: { type: String, required: true },
+  activity: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ["pending", "delivering", "delivered", "failed"],
+    default: "pending",
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  deliveredAt: Date,
+}, { timestamps: true });
+
+deliveryJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("DeliveryJob", deliveryJobSchema);
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Tracks remote inboxes that keep failing so we stop queueing work for them
+const inboxHealthSchema = new mongoose.Schema({
+  inbox: { type: String, required: true, unique: true },
+  failedJobs: { type: Number, default: 0 },
+  firstFailureAt: Date,
+  lastFailureAt: Date,
+  dead: { type: Boolean, default: false },
+}, { timestamps: true });
+
+module.exports = mongoose.model("InboxHealth", inboxHealthSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One direct Note in a Conversation
+const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: "Conversation", index: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  actor: String,
+  content: String,
+  // Attached image, if any (uploaded for local messages, the first attachment of remote ones)
+  imageUrl: { type: String, default: null },
+  to: [String],
+  // Recipients as Mention tags (`name` is the full @user@domain)
+  mentions: [{
+    actor: String,
+    name: String,
+    url: String,
+    _id: false
+  }],
+  // ActivityPub id of the Note (`${BASE_URL}/messages/:id` for local messages)
+  activityId: { type: String, unique: true, sparse: true },
+  inReplyTo: { type: String, default: null },
+  remote: { type: Boolean, default: false }
+}, { timestamps: true });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Something another account did that a local user should hear about
+const notificationSchema = new mongoose.Schema({
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: {
+    type: String,
+    enum: ["follow", "follow_request", "like", "boost", "reply", "mention"],
+    required: true
+  },
+  // Actor URL (local or remote) of whoever did it
+  actor: { type: String, required: true },
+  // The post it is about: the liked or boosted post, or the reply/mentioning post itself
+  post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", default: null },
+  read: { type: Boolean, default: false }
+}, { timestamps: true });
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ post: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
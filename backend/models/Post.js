@@ -8,10 +8,43 @@ const postSchema = new mongoose.Schema({
   imageUrl: String,
   caption: String,
   to: [String],
-  activityId: String,
-  inReplyTo: { type: String, default: null },
+  cc: [String],
+  // Who may see the post; derived from to/cc for remote posts
+  visibility: {
+    type: String,
+    enum: ["public", "unlisted", "followers", "direct"],
+    default: "public"
+  },
+  // Local actors a non-public remote post was delivered to
+  audience: [String],
+  // Accounts mentioned in the caption (`name` is the full @user@domain)
+  mentions: [{
+    actor: String,
+    name: String,
+    url: String,
+    _id: false
+  }],
+  // Normalized (lowercase, no "#") hashtags
+  tags: { type: [String], index: true },
+  // ActivityPub id of remote posts and boosts; unique, so a Note redelivered at the
+  // same time can only be stored once
+  activityId: { type: String, index: { unique: true, sparse: true } },
+  inReplyTo: { type: String, default: null, index: true },
   likes: [{ type: String }],
+  // Previous captions, oldest first; editedAt is when that version was replaced
+  editHistory: [{
+    caption: String,
+    editedAt: Date,
+    _id: false
+  }],
+  editedAt: { type: Date, default: null },
+  // Set when this document is a boost (Announce) of another post
+  boostOf: { type: mongoose.Schema.Types.ObjectId, ref: "Post", default: null },
   remote: { type: Boolean, default: false }
 }, { timestamps: true });
 
+// Timelines page through one account's posts, newest first
+postSchema.index({ author: 1, createdAt: -1, _id: -1 });
+postSchema.index({ actor: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model("Post", postSchema);
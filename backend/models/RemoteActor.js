@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Cached copy of a remote actor document (see utils/actorResolver.js)
+const remoteActorSchema = new mongoose.Schema({
+  actorId: { type: String, required: true, unique: true }, // ActivityPub id of the actor
+  type: { type: String, default: "Person" },
+  preferredUsername: String,
+  handle: String, // user@host
+  displayName: String,
+  summary: String, // HTML, as published by the remote server
+  avatar: String,
+  url: String, // human-readable profile page
+  inbox: String,
+  sharedInbox: String,
+  outbox: String,
+  followers: String,
+  publicKeyId: { type: String, index: true },
+  publicKeyPem: String,
+  fetchedAt: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+module.exports = mongoose.model("RemoteActor", remoteActorSchema);
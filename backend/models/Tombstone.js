@@ -0,0 +1,10 @@
+const mongoose = require("mongoose");
+
+// Remembers deleted local objects so their URLs answer 410 Gone
+const tombstoneSchema = new mongoose.Schema({
+  objectId: { type: String, required: true, unique: true }, // ActivityPub id of the deleted object
+  formerType: { type: String, default: "Note" },
+  deleted: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("Tombstone", tombstoneSchema);
@@ -19,6 +19,21 @@ const userSchema = new mongoose.Schema({
   followers: { type: [String], default: [] },
   following: { type: [String], default: [] },
   isVerified: { type: Boolean, default: false },
+  isAdmin: { type: Boolean, default: false },
+  manuallyApprovesFollowers: { type: Boolean, default: false },
+  // Incoming follows waiting for approval (locked accounts only)
+  followRequests: [{
+    actor: String,
+    activity: mongoose.Schema.Types.Mixed, // the Follow, echoed back in Accept/Reject
+    requestedAt: { type: Date, default: Date.now },
+  }],
+  // Our follows the other side has not accepted yet
+  pendingFollowing: [{
+    actor: String,
+    activityId: String,
+    requestedAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
   verifyOtp: String,
   verifyOtpExpairy: Date,
   otpAttempts: { type: Number, default: 0 },
@@ -1,5 +1,6 @@
 
 const express = require("express");
+const cors = require("cors");
 const router = express.Router();
 const {
   webfinger,
@@ -12,17 +13,18 @@ const {
 } = require("../controllers/activityPubController");
 
 const { verifyToken } = require("../middleware/authMiddleware");
+const verifySignature = require("../middleware/verifySignature");
 
 // WebFinger route
-router.get('/webfinger', webfinger);
+// Any origin may query WebFinger (browser-based clients)
+router.get('/webfinger', cors(), webfinger);
 
 // ActivityPub actor/inbox/outbox routes
 router.get('/:username', actor);
-router.post('/:username/inbox', inbox);
+router.post('/:username/inbox', verifySignature, inbox);
 router.get('/:username/outbox',  outbox); 
 router.get('/:username/followers', getFollowers);
 router.get('/:username/following', getFollowing);
-router.get('/:username/inbox', inbox);
 // DELETE a post (only for owner)
 router.delete('/:id', verifyToken, deletePost);
 
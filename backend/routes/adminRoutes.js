@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/adminController");
+const { verifyToken, requireAdmin } = require("../middleware/authMiddleware");
+
+router.use(verifyToken, requireAdmin);
+
+router.get("/deliveries", adminController.getDeliveries);
+router.post("/deliveries/retry-failed", adminController.retryFailedDeliveries);
+router.post("/deliveries/:id/retry", adminController.retryDelivery);
+router.get("/inboxes", adminController.getInboxHealth);
+
+module.exports = router;
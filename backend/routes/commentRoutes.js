@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const { updateComment, deleteComment } = require("../controllers/postController");
+const { verifyToken } = require("../middleware/authMiddleware");
+
+// Comments are reply posts; these edit or remove one by its id
+router.put("/:id", verifyToken, updateComment);
+router.delete("/:id", verifyToken, deleteComment);
+
+module.exports = router;
@@ -1,16 +0,0 @@
-const express = require('express');
-const router = express.Router();
-const commentController = require('../controllers/commentController');
-const authMiddleware = require('../middleware/authenticate'); // make sure this sets req.user
-
-
-
-
-console.log("typeof authMiddleware:", typeof authMiddleware);
-console.log("typeof createComment:", typeof commentController.createComment);
-console.log("typeof getCommentsByPost:", typeof commentController.getCommentsByPost);
-
-router.post('/:postId/comment', authMiddleware, commentController.createComment);
-router.get('/:postId/comment', commentController.getCommentsByPost);
-
-module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listConversations,
+  getMessages,
+  startConversation,
+  replyToConversation,
+} = require("../controllers/conversationController");
+const { verifyToken } = require("../middleware/authMiddleware");
+
+// Private conversations (direct messages)
+router.get("/", verifyToken, listConversations);
+router.post("/", verifyToken, startConversation);
+router.get("/:id/messages", verifyToken, getMessages);
+router.post("/:id/messages", verifyToken, replyToConversation);
+
+module.exports = router;
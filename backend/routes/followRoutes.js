@@ -1,9 +1,20 @@
 const express = require("express");
 const router = express.Router();
-const { sendFollow } = require("../controllers/followController");
+const {
+  sendFollow,
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+} = require("../controllers/followController");
 const { verifyToken } = require("../middleware/authMiddleware");
 
 router.post("/users/:username/follow", verifyToken, sendFollow); // Remote actors
 router.post("/remote/:username/follow", verifyToken, sendFollow);
+
+// Pending follow requests for the logged-in (locked) user
+router.get("/requests", verifyToken, getFollowRequests);
+router.post("/requests/:requestId/approve", verifyToken, approveFollowRequest);
+router.post("/requests/:requestId/reject", verifyToken, rejectFollowRequest);
+
 module.exports = router;
 
@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { getMessageNote } = require("../controllers/activityPubController");
+const { optionalSignature } = require("../middleware/verifySignature");
+const { optionalToken } = require("../middleware/authMiddleware");
+
+// ActivityPub objects for local direct messages (/messages/:id), readable by the
+// conversation's participants through a signed fetch or their token
+router.get("/:id", optionalSignature, optionalToken, getMessageNote);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const {
+  nodeinfoLinks,
+  nodeinfo,
+  hostMeta,
+  hostMetaJson,
+} = require("../controllers/nodeinfoController");
+
+// Server discovery for crawlers and other instances
+router.get("/.well-known/nodeinfo", nodeinfoLinks);
+router.get("/.well-known/host-meta", hostMeta);
+router.get("/.well-known/host-meta.json", hostMetaJson);
+router.get("/nodeinfo/:version", nodeinfo);
+
+module.exports = router;
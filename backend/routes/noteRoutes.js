@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { getNote, getNoteLikes, getNoteReplies } = require("../controllers/activityPubController");
+const { optionalToken } = require("../middleware/authMiddleware");
+
+// ActivityPub objects for local posts (/posts/:id/...)
+router.get("/:id", optionalToken, getNote);
+router.get("/:id/likes", getNoteLikes);
+router.get("/:id/replies", getNoteReplies);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markOneRead,
+} = require("../controllers/notificationController");
+const { verifyToken } = require("../middleware/authMiddleware");
+
+// Follows, likes, boosts, replies and mentions for the signed-in user
+router.get("/", verifyToken, listNotifications);
+router.get("/unread-count", verifyToken, getUnreadCount);
+router.post("/read", verifyToken, markRead);
+router.post("/:id/read", verifyToken, markOneRead);
+
+module.exports = router;
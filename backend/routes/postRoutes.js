@@ -2,21 +2,37 @@
 const express = require("express");
 const router = express.Router();
 const postController = require("../controllers/postController");
-const { verifyToken } = require("../middleware/authMiddleware");
+const { verifyToken, optionalToken } = require("../middleware/authMiddleware");
 const multer = require("multer");
 const { storage } = require("../utils/cloudinary");
 const upload = multer({ storage });
 
 router.post("/po", verifyToken, upload.single("image"), postController.createPost);  
-router.get("/feed", verifyToken, postController.getFeed);                         
+router.get("/feed", verifyToken, postController.getFeed);
+router.get("/mentions", verifyToken, postController.getMentions);                         
 
 
 
 
+router.put("/:postId", verifyToken, postController.updatePost);
+
+// Replies are posts with inReplyTo; /comment is the older name the comment form uses
+router.get("/:postId/replies", optionalToken, postController.getReplies);
+router.post("/:postId/replies", verifyToken, postController.createReply);
+router.get("/:postId/comment", optionalToken, postController.getReplies);
+router.post("/:postId/comment", verifyToken, postController.createReply);
+
+// The whole thread around a post, fetching remote ancestors we have not seen
+router.get("/:postId/context", optionalToken, postController.getContext);
+
 router.post("/:postId/like", verifyToken, postController.likePost);
 
 router.delete("/:postId/like", verifyToken, postController.unlikePost);
 
+router.post("/:postId/boost", verifyToken, postController.boostPost);
+
+router.delete("/:postId/boost", verifyToken, postController.unboostPost);
+
 
 
 module.exports = router;
@@ -1,9 +0,0 @@
-const express = require("express");
-const router = express.Router();
-const replyController = require("../controllers/replyController");
-const { verifyToken } = require("../middleware/authMiddleware");
-
-router.post("/:postId/reply", verifyToken, replyController.createReply);
-router.get("/:postId/replies", replyController.getRepliesForPost);
-
-module.exports = router;
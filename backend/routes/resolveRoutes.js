@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const { resolve } = require("../controllers/resolveController");
+const { verifyToken } = require("../middleware/authMiddleware");
+
+// Server-side lookup of handles, actor URLs and post URLs
+router.get("/", verifyToken, resolve);
+
+module.exports = router;
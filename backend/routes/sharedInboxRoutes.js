@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const { sharedInbox } = require("../controllers/activityPubController");
+const verifySignature = require("../middleware/verifySignature");
+
+// Shared inbox advertised as `endpoints.sharedInbox` on every local actor
+router.post("/", verifySignature, sharedInbox);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const { stream } = require("../controllers/streamingController");
+const { verifyStreamToken } = require("../middleware/authMiddleware");
+
+// Live updates; the token may come as ?access_token= for EventSource clients
+router.get("/", verifyStreamToken, stream);
+
+module.exports = router;
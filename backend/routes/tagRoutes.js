@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { getTagTimeline } = require("../controllers/postController");
+
+// Public hashtag timelines
+router.get("/:tag", getTagTimeline);
+
+module.exports = router;
@@ -10,14 +10,15 @@ const {
   unfollowUser
 } = require("../controllers/userController");
 
-const { verifyToken } = require("../middleware/authMiddleware");
+const { getFollowers, getFollowing } = require("../controllers/activityPubController");
+const { verifyToken, optionalToken } = require("../middleware/authMiddleware");
 const User = require("../models/User");
 router.get("/me", verifyToken, loginedUser);
 router.get("/", getAllUsers);
 router.get("/:id", getUserById);
 router.post("/:username/follow", verifyToken, followUser);
 router.post("/:username/unfollow", verifyToken, unfollowUser);
-router.get("/:username/posts", getUserPosts);
+router.get("/:username/posts", optionalToken, getUserPosts);
 router.put("/:id", verifyToken, updateUser);
 
 
@@ -25,59 +26,11 @@ router.put("/:id", verifyToken, updateUser);
 
 
 
-router.get("/:username/followers", async (req, res) => {
-  try {
-    const user = await User.findOne({ username: req.params.username });
-    if (!user) return res.status(404).json({ error: "User not found" });
-
-    const followersUrl = `${process.env.DOMAIN}/users/${user.username}/followers`;
-
-    res.set("Content-Type", "application/activity+json");
-    return res.json({
-      "@context": "https://www.w3.org/ns/activitystreams",
-      id: followersUrl,
-      type: "OrderedCollection",
-      totalItems: user.followers.length,
-      first: {
-        type: "OrderedCollectionPage",
-        totalItems: user.followers.length,
-        partOf: followersUrl,
-        orderedItems: user.followers, // should be array of actor URLs
-      },
-    });
-  } catch (err) {
-    console.error("Error fetching followers:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
-
+// ActivityPub-style collections, paged the same way as /users/:username/followers
+router.get("/:username/followers", getFollowers);
 
 // GET /users/:username/following
-router.get("/:username/following", async (req, res) => {
-  try {
-    const user = await User.findOne({ username: req.params.username });
-    if (!user) return res.status(404).json({ error: "User not found" });
-
-    const followingUrl = `${process.env.DOMAIN}/users/${user.username}/following`;
-
-    res.set("Content-Type", "application/activity+json");
-    return res.json({
-      "@context": "https://www.w3.org/ns/activitystreams",
-      id: followingUrl,
-      type: "OrderedCollection",
-      totalItems: user.following.length,
-      first: {
-        type: "OrderedCollectionPage",
-        totalItems: user.following.length,
-        partOf: followingUrl,
-        orderedItems: user.following, // should be array of actor URLs
-      },
-    });
-  } catch (err) {
-    console.error("Error fetching following:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
+router.get("/:username/following", getFollowing);
 
 // DELETE /users/:username/followers/:followerUsername
 // Remove follower from :username
@@ -0,0 +1,65 @@
+// One-off migration: turns the old `comments` collection into reply Posts.
+// Comments used to be stored as { post, author, username, content, createdAt };
+// replies are now Posts whose inReplyTo is the parent's URL. Each migrated comment
+// is marked with `migratedTo`, so running this again only picks up what is left.
+//
+//   node scripts/migrateComments.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { addressPost } = require('../utils/visibility');
+const { objectUrl } = require('../utils/activityBuilder');
+const { extractHashtags } = require('../utils/hashtags');
+
+const migrateComment = async (comment) => {
+  const parent = await Post.findById(comment.post);
+  if (!parent) return `parent post ${comment.post} no longer exists`;
+
+  const user = await User.findById(comment.author);
+  if (!user) return `author ${comment.author} no longer exists`;
+
+  // Old comments were shown to everyone who could see the post
+  const visibility = parent.visibility || "public";
+  const replyTo = String(parent.author) !== String(user._id) ? [parent.actor].filter(Boolean) : [];
+  const { to, cc } = addressPost(visibility, `${process.env.BASE_URL}/users/${user.username}/followers`, replyTo);
+
+  const reply = new Post({
+    author: user._id,
+    actor: `${process.env.DOMAIN}/users/${user.username}`,
+    caption: comment.content,
+    to,
+    cc,
+    visibility,
+    tags: extractHashtags(comment.content || ""),
+    inReplyTo: objectUrl(parent),
+    remote: false,
+    createdAt: comment.createdAt || new Date(),
+  });
+  await reply.save();
+
+  await mongoose.connection.collection("comments")
+    .updateOne({ _id: comment._id }, { $set: { migratedTo: reply._id } });
+  return null;
+};
+
+const migrateComments = async () => {
+  const comments = mongoose.connection.collection("comments");
+  const pending = await comments.find({ migratedTo: { $exists: false } }).sort({ createdAt: 1 }).toArray();
+
+  let migrated = 0;
+  for (const comment of pending) {
+    const skipped = await migrateComment(comment);
+    if (skipped) console.log(`⚠️ Skipping comment ${comment._id}: ${skipped}`);
+    else migrated += 1;
+  }
+  console.log(`Migrated ${migrated} of ${pending.length} comments`);
+};
+
+mongoose.connect(process.env.MONGO_URI)
+  .then(migrateComments)
+  .catch((err) => {
+    console.error("❌ Comment migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
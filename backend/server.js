@@ -1,10 +1,12 @@
 const app = require('./app');
 const mongoose = require('mongoose');
+const { startDeliveryWorker } = require('./utils/deliveryQueue');
 require('dotenv').config();
 
 mongoose.connect(process.env.MONGO_URI)
   .then(() => {
     console.log("Connected to DB");
+    startDeliveryWorker();
     app.listen(process.env.PORT, () => {
       console.log(`Server running on port ${process.env.PORT}`);
       console.log(`Base URL: ${process.env.BASE_URL}`);
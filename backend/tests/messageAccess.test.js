@@ -0,0 +1,89 @@
+// tests/messageAccess.test.js
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+process.env.BASE_URL = "https://local.example";
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const { mayReadConversation } = require("../utils/conversations");
+const { getMessageNote } = require("../controllers/activityPubController");
+
+const bob = `${process.env.BASE_URL}/users/bob`;
+const alice = "https://remote.example/users/alice";
+const conversation = {
+  _id: new mongoose.Types.ObjectId(),
+  participants: [alice, bob],
+  context: `${process.env.BASE_URL}/conversations/1`,
+};
+const message = new Message({
+  conversation: conversation._id,
+  actor: bob,
+  content: "see you there",
+  to: [alice],
+  remote: false,
+  createdAt: new Date("2026-02-09T15:10:30.000Z"),
+});
+message.activityId = `${process.env.BASE_URL}/messages/${message._id}`;
+
+beforeEach(() => {
+  Message.findOne = async () => message;
+  Conversation.findById = async () => conversation;
+});
+
+// Calls the handler; resolves to the status code and JSON body it answered with
+function fetchMessage({ signer, user } = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      setHeader() {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    getMessageNote({ params: { id: message._id.toString() }, signer, user }, res);
+  });
+}
+
+test("participants may read the conversation, nobody else", () => {
+  assert.strictEqual(mayReadConversation(conversation, alice), true);
+  assert.strictEqual(mayReadConversation(conversation, bob), true);
+  assert.strictEqual(mayReadConversation(conversation, "https://remote.example/users/mallory"), false);
+  assert.strictEqual(mayReadConversation(conversation, "https://remote.example/actor"), false);
+  assert.strictEqual(mayReadConversation(conversation, undefined), false);
+});
+
+test("a participant's signed fetch gets the Note", async () => {
+  const { status, body } = await fetchMessage({ signer: alice });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.id, message.activityId);
+  assert.strictEqual(body.type, "Note");
+  assert.strictEqual(body.attributedTo, bob);
+  assert.strictEqual(body.context, conversation.context);
+});
+
+test("a local participant's token gets the Note", async () => {
+  assert.strictEqual((await fetchMessage({ user: { actor: bob } })).status, 200);
+});
+
+test("anonymous fetches get 404", async () => {
+  assert.strictEqual((await fetchMessage()).status, 404);
+});
+
+test("other accounts on a participant's server get 404", async () => {
+  assert.strictEqual((await fetchMessage({ signer: "https://remote.example/users/mallory" })).status, 404);
+  assert.strictEqual((await fetchMessage({ signer: "https://remote.example/actor" })).status, 404);
+});
+
+test("local users outside the conversation get 404", async () => {
+  assert.strictEqual((await fetchMessage({ user: { actor: `${process.env.BASE_URL}/users/carol` } })).status, 404);
+});
+
+test("missing messages get 404", async () => {
+  Message.findOne = async () => null;
+  assert.strictEqual((await fetchMessage({ signer: alice })).status, 404);
+});
@@ -0,0 +1,130 @@
+// tests/pagination.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { encodeCursor, decodeCursor, paginateByCursor, paginateArray } = require("../utils/pagination");
+
+// Orders dates, ObjectIds and plain values the way MongoDB compares them
+const compare = (a, b) => {
+  const value = (v) => (v instanceof Date ? v.getTime() : v instanceof mongoose.Types.ObjectId ? v.toString() : v);
+  const [x, y] = [value(a), value(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+// Enough of the query language for the filters paginateByCursor builds
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === "$and") return condition.every((part) => matches(doc, part));
+  if (key === "$or") return condition.some((part) => matches(doc, part));
+  if (condition && (condition.$lt !== undefined || condition.$gt !== undefined)) {
+    if (condition.$lt !== undefined && !(compare(doc[key], condition.$lt) < 0)) return false;
+    if (condition.$gt !== undefined && !(compare(doc[key], condition.$gt) > 0)) return false;
+    return true;
+  }
+  return compare(doc[key], condition) === 0;
+});
+
+// In-memory stand-in for a Mongoose model: find().sort().populate().limit() and exists()
+const fakeModel = (docs) => ({
+  find(filter) {
+    let results = docs.filter((doc) => matches(doc, filter));
+    const query = {
+      sort(spec) {
+        const keys = Object.entries(spec);
+        results = [...results].sort((a, b) => {
+          for (const [key, direction] of keys) {
+            const order = compare(a[key], b[key]) * direction;
+            if (order !== 0) return order;
+          }
+          return 0;
+        });
+        return query;
+      },
+      populate: () => query,
+      limit: (n) => Promise.resolve(results.slice(0, n)),
+    };
+    return query;
+  },
+  exists: (filter) => Promise.resolve(docs.some((doc) => matches(doc, filter)) || null),
+});
+
+// Five posts one second apart, plus two more sharing the newest post's millisecond
+const base = Date.UTC(2026, 0, 1);
+const docs = [0, 1, 2, 3, 4].map((i) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(base + i * 1000) }));
+const sameMs = [1, 2].map(() => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(base + 4000) }));
+const all = [...docs, ...sameMs];
+const newestFirst = [...all].sort((a, b) => compare(b.createdAt, a.createdAt) || compare(b._id, a._id));
+const Model = fakeModel(all);
+const ids = (items) => items.map((doc) => doc._id.toString());
+
+test("cursors round-trip through encode and decode", () => {
+  const cursor = encodeCursor(docs[2]);
+  assert.strictEqual(cursor, `${base + 2000}_${docs[2]._id}`);
+  const decoded = decodeCursor(cursor);
+  assert.strictEqual(decoded.createdAt.getTime(), docs[2].createdAt.getTime());
+  assert.ok(decoded._id.equals(docs[2]._id));
+});
+
+test("malformed cursors decode to null", () => {
+  [undefined, 42, "", "abc", "123", "123_notanid", `nope_${docs[0]._id}`].forEach((cursor) => {
+    assert.strictEqual(decodeCursor(cursor), null, String(cursor));
+  });
+});
+
+test("the first page has a next cursor but no prev", async () => {
+  const page = await paginateByCursor(Model, {}, { limit: 3 });
+  assert.deepStrictEqual(ids(page.items), ids(newestFirst.slice(0, 3)));
+  assert.strictEqual(page.next, encodeCursor(newestFirst[2]));
+  assert.strictEqual(page.prev, null);
+});
+
+test("max_id continues right after the cursor, keeping same-millisecond posts in order", async () => {
+  const first = await paginateByCursor(Model, {}, { limit: 2 });
+  const second = await paginateByCursor(Model, {}, { limit: 2, maxId: first.next });
+  assert.deepStrictEqual(ids(second.items), ids(newestFirst.slice(2, 4)));
+  assert.strictEqual(second.prev, encodeCursor(newestFirst[2]));
+});
+
+test("the last page has no next cursor", async () => {
+  const page = await paginateByCursor(Model, {}, { limit: 5, maxId: encodeCursor(newestFirst[1]) });
+  assert.deepStrictEqual(ids(page.items), ids(newestFirst.slice(2)));
+  assert.strictEqual(page.next, null);
+  assert.ok(page.prev);
+});
+
+test("min_id returns the page just newer than the cursor, newest first", async () => {
+  const page = await paginateByCursor(Model, {}, { limit: 2, minId: encodeCursor(newestFirst[4]) });
+  assert.deepStrictEqual(ids(page.items), ids(newestFirst.slice(2, 4)));
+  assert.strictEqual(page.next, encodeCursor(newestFirst[3]));
+  assert.strictEqual(page.prev, encodeCursor(newestFirst[2]));
+});
+
+test("since_id keeps only newer posts, newest first", async () => {
+  const page = await paginateByCursor(Model, {}, { limit: 10, sinceId: encodeCursor(newestFirst[3]) });
+  assert.deepStrictEqual(ids(page.items), ids(newestFirst.slice(0, 3)));
+});
+
+test("an empty page has no cursors", async () => {
+  const page = await paginateByCursor(Model, {}, { maxId: encodeCursor(newestFirst[newestFirst.length - 1]) });
+  assert.deepStrictEqual(page, { items: [], next: null, prev: null });
+});
+
+test("page sizes are clamped between 1 and 40", async () => {
+  const many = fakeModel(Array.from({ length: 50 }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date(base + i),
+  })));
+  assert.strictEqual((await paginateByCursor(many, {}, { limit: 100 })).items.length, 40);
+  assert.strictEqual((await paginateByCursor(many, {}, { limit: 0 })).items.length, 20);
+  assert.strictEqual((await paginateByCursor(many, {}, { limit: -5 })).items.length, 1);
+});
+
+test("paginateArray pages newest first with page numbers", () => {
+  const entries = Array.from({ length: 45 }, (_, i) => i);
+  const first = paginateArray(entries, 1);
+  assert.deepStrictEqual(first.items.slice(0, 2), [44, 43]);
+  assert.deepStrictEqual([first.next, first.prev], [2, null]);
+
+  const last = paginateArray(entries, 3);
+  assert.deepStrictEqual(last.items, [4, 3, 2, 1, 0]);
+  assert.deepStrictEqual([last.next, last.prev], [null, 2]);
+});
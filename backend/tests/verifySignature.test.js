@@ -0,0 +1,164 @@
+// tests/verifySignature.test.js
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+// The middleware takes the resolver at load time, so it is replaced before requiring it
+const actorResolver = require("../utils/actorResolver");
+const remoteActors = new Map();
+actorResolver.resolveActorByKeyId = async (keyId) => {
+  const actor = remoteActors.get(keyId);
+  if (!actor) throw new Error(`No public key ${keyId} found on its actor`);
+  return actor;
+};
+const verifySignature = require("../middleware/verifySignature");
+const { optionalSignature } = verifySignature;
+
+const keyPair = () => crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: "spki", format: "pem" },
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+});
+const alice = { actorId: "https://remote.example/users/alice", ...keyPair() };
+const mallory = { actorId: "https://evil.example/users/mallory", ...keyPair() };
+
+beforeEach(() => {
+  remoteActors.clear();
+  [alice, mallory].forEach(({ actorId, publicKey }) => remoteActors.set(`${actorId}#main-key`, {
+    actorId,
+    publicKeyId: `${actorId}#main-key`,
+    publicKeyPem: publicKey,
+  }));
+});
+
+// A request signed with `privateKey` under `keyId`, shaped like what Express hands the middleware
+function signedRequest({
+  method = "post",
+  path = "/inbox",
+  body = { type: "Follow", actor: alice.actorId },
+  keyId = `${alice.actorId}#main-key`,
+  privateKey = alice.privateKey,
+  headers = ["(request-target)", "host", "date", "digest"],
+  date = new Date().toUTCString(),
+  digestOf,
+} = {}) {
+  const rawBody = Buffer.from(method === "get" ? "" : JSON.stringify(body));
+  const values = {
+    host: "local.example",
+    date,
+    digest: `SHA-256=${crypto.createHash("sha256").update(digestOf ?? rawBody).digest("base64")}`,
+  };
+  const signingString = headers
+    .map((name) => (name === "(request-target)" ? `(request-target): ${method} ${path}` : `${name}: ${values[name]}`))
+    .join("\n");
+  const signature = crypto.createSign("RSA-SHA256").update(signingString).sign(privateKey, "base64");
+
+  return {
+    method: method.toUpperCase(),
+    originalUrl: path,
+    body: method === "get" ? undefined : body,
+    rawBody,
+    headers: {
+      ...values,
+      signature: `keyId="${keyId}",algorithm="rsa-sha256",headers="${headers.join(" ")}",signature="${signature}"`,
+    },
+  };
+}
+
+// Runs the middleware; resolves to `{ status, body }` when it answered, or `{ next: true }`
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body }) };
+      },
+    };
+    middleware(req, res, () => resolve({ next: true }));
+  });
+}
+
+test("accepts a correctly signed delivery and records the signer", async () => {
+  const req = signedRequest();
+  assert.deepStrictEqual(await run(verifySignature, req), { next: true });
+  assert.strictEqual(req.signer, alice.actorId);
+});
+
+test("rejects a delivery without a Signature header", async () => {
+  const req = signedRequest();
+  delete req.headers.signature;
+  assert.strictEqual((await run(verifySignature, req)).status, 401);
+});
+
+test("rejects a delivery whose body does not match its Digest", async () => {
+  const req = signedRequest({ digestOf: "something else" });
+  const result = await run(verifySignature, req);
+  assert.strictEqual(result.status, 401);
+  assert.match(result.body.error, /Digest/);
+});
+
+test("rejects a signature that does not cover the Digest", async () => {
+  const req = signedRequest({ headers: ["(request-target)", "host", "date"] });
+  const result = await run(verifySignature, req);
+  assert.strictEqual(result.status, 401);
+  assert.match(result.body.error, /digest/);
+});
+
+test("rejects a stale Date header", async () => {
+  const req = signedRequest({ date: new Date(Date.now() - 24 * 60 * 60 * 1000).toUTCString() });
+  assert.strictEqual((await run(verifySignature, req)).status, 401);
+});
+
+test("rejects a body changed after signing", async () => {
+  const req = signedRequest();
+  req.rawBody = Buffer.from(JSON.stringify({ type: "Delete", actor: alice.actorId }));
+  assert.strictEqual((await run(verifySignature, req)).status, 401);
+});
+
+test("rejects a signature made with another key", async () => {
+  const req = signedRequest({ privateKey: mallory.privateKey });
+  const result = await run(verifySignature, req);
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(result.body.error, "Invalid signature");
+});
+
+test("rejects a key whose claimed owner does not publish it", async () => {
+  // Mallory hosts a key document naming Alice as its owner, but Alice publishes another key
+  const keyId = "https://evil.example/keys/1";
+  remoteActors.set(keyId, {
+    actorId: alice.actorId,
+    publicKeyId: `${alice.actorId}#main-key`,
+    publicKeyPem: mallory.publicKey,
+  });
+  const req = signedRequest({ keyId, privateKey: mallory.privateKey });
+  const result = await run(verifySignature, req);
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(req.signer, undefined);
+});
+
+test("rejects an activity whose actor does not own the signing key", async () => {
+  const req = signedRequest({
+    body: { type: "Follow", actor: alice.actorId },
+    keyId: `${mallory.actorId}#main-key`,
+    privateKey: mallory.privateKey,
+  });
+  const result = await run(verifySignature, req);
+  assert.strictEqual(result.status, 401);
+  assert.match(result.body.error, /actor/);
+});
+
+test("optionalSignature records the signer of a signed GET", async () => {
+  const req = signedRequest({ method: "get", path: "/messages/1", headers: ["(request-target)", "host", "date"] });
+  assert.deepStrictEqual(await run(optionalSignature, req), { next: true });
+  assert.strictEqual(req.signer, alice.actorId);
+});
+
+test("optionalSignature treats a bad signature as none", async () => {
+  const req = signedRequest({
+    method: "get",
+    path: "/messages/1",
+    headers: ["(request-target)", "host", "date"],
+    privateKey: mallory.privateKey,
+  });
+  assert.deepStrictEqual(await run(optionalSignature, req), { next: true });
+  assert.strictEqual(req.signer, undefined);
+});
@@ -0,0 +1,70 @@
+// tests/visibility.test.js
+const { test } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+process.env.BASE_URL = "https://local.example";
+const { AS_PUBLIC } = require("../utils/activityBuilder");
+const { addressPost, visibilityFromAddressing, viewerOf, canView } = require("../utils/visibility");
+
+const author = { _id: new mongoose.Types.ObjectId(), username: "alice", following: [] };
+const authorActor = `${process.env.BASE_URL}/users/alice`;
+const followersUrl = `${authorActor}/followers`;
+const mentioned = `${process.env.BASE_URL}/users/bob`;
+
+// A local post by alice mentioning bob, addressed the way publishing would address it
+const postWith = (visibility) => ({
+  author: author._id,
+  actor: authorActor,
+  visibility,
+  ...addressPost(visibility, followersUrl, [mentioned]),
+});
+
+const viewers = {
+  anonymous: null,
+  author: viewerOf(author),
+  follower: viewerOf({ _id: new mongoose.Types.ObjectId(), username: "carol", following: [authorActor] }),
+  mentioned: viewerOf({ _id: new mongoose.Types.ObjectId(), username: "bob", following: [] }),
+  stranger: viewerOf({ _id: new mongoose.Types.ObjectId(), username: "dave", following: [] }),
+};
+
+// Who may see a post at each visibility level
+const expected = {
+  public: { anonymous: true, author: true, follower: true, mentioned: true, stranger: true },
+  unlisted: { anonymous: true, author: true, follower: true, mentioned: true, stranger: true },
+  followers: { anonymous: false, author: true, follower: true, mentioned: true, stranger: false },
+  direct: { anonymous: false, author: true, follower: false, mentioned: true, stranger: false },
+};
+
+Object.entries(expected).forEach(([visibility, allowed]) => {
+  Object.entries(allowed).forEach(([who, canSee]) => {
+    test(`${visibility} post ${canSee ? "is" : "is not"} visible to the ${who}`, () => {
+      assert.strictEqual(canView(postWith(visibility), viewers[who]), canSee);
+    });
+  });
+});
+
+test("posts without a visibility (stored before it existed) are public", () => {
+  assert.strictEqual(canView({ actor: authorActor }, null), true);
+});
+
+test("non-public remote posts are visible to the local users they were delivered to", () => {
+  const post = {
+    actor: "https://remote.example/users/erin",
+    visibility: "followers",
+    to: ["https://remote.example/users/erin/followers"],
+    cc: [],
+    audience: [viewers.stranger.actor],
+    remote: true,
+  };
+  assert.strictEqual(canView(post, viewers.stranger), true);
+  assert.strictEqual(canView(post, viewers.mentioned), false);
+});
+
+test("addressing round-trips through visibilityFromAddressing", () => {
+  ["public", "unlisted", "followers", "direct"].forEach((visibility) => {
+    const { to, cc } = addressPost(visibility, followersUrl, [mentioned]);
+    assert.strictEqual(visibilityFromAddressing(to, cc), visibility);
+  });
+  assert.strictEqual(visibilityFromAddressing(AS_PUBLIC, []), "public");
+});
@@ -0,0 +1,140 @@
+// utils/activityBuilder.js
+const mime = require("mime-types");
+const { escapeHtml } = require("./postPage");
+const { replaceMentions } = require("./mentions");
+const { tagUrl, replaceHashtags } = require("./hashtags");
+
+const AS_CONTEXT = "https://www.w3.org/ns/activitystreams";
+const AS_PUBLIC = "https://www.w3.org/ns/activitystreams#Public";
+
+// Activities may reference actors/objects by URL or embed them
+const idOf = (value) => (typeof value === "string" ? value : value?.id);
+
+const postUrl = (post) => `${process.env.DOMAIN}/posts/${post._id}`;
+
+// The ActivityPub id of a post, wherever it lives
+const objectUrl = (post) => (post.remote ? post.activityId : postUrl(post));
+
+// Note `content`: the escaped caption with hashtags and known mentions turned into links
+function captionHtml(post) {
+  const byName = new Map((post.mentions || []).map((m) => [m.name, m]));
+
+  const withTags = replaceHashtags(escapeHtml(post.caption || ""), (match, prefix, tag) =>
+    `${prefix}<a href="${escapeHtml(tagUrl(tag))}" class="mention hashtag" rel="tag">#<span>${tag}</span></a>`
+  );
+
+  const html = replaceMentions(withTags, (match, prefix, name) => {
+    const mention = byName.get(name);
+    if (!mention) return match;
+    const [, username] = name.split("@");
+    return `${prefix}<span class="h-card"><a href="${escapeHtml(mention.url)}" class="u-url mention">@<span>${username}</span></a></span>`;
+  });
+
+  return `<p>${html.replace(/\n/g, "<br>")}</p>`;
+}
+
+// Note `attachment` for an uploaded image (empty without one)
+const attachmentFor = (imageUrl) => (imageUrl && typeof imageUrl === "string"
+  ? [{ type: "Image", mediaType: mime.lookup(imageUrl) || "image/jpeg", url: imageUrl }]
+  : []);
+
+// ActivityPub Note for a local post
+function buildNote(post, actorUrl) {
+  const id = postUrl(post);
+  const attachment = attachmentFor(post.imageUrl);
+
+  return {
+    id,
+    type: "Note",
+    attributedTo: actorUrl,
+    content: captionHtml(post),
+    published: new Date(post.createdAt).toISOString(),
+    ...(post.editedAt && { updated: new Date(post.editedAt).toISOString() }),
+    ...(post.inReplyTo && { inReplyTo: post.inReplyTo }),
+    to: post.to?.length ? post.to : [AS_PUBLIC],
+    cc: post.cc || [],
+    tag: [
+      ...(post.mentions || []).map((m) => ({ type: "Mention", href: m.actor, name: m.name })),
+      ...(post.tags || []).map((tag) => ({ type: "Hashtag", href: tagUrl(tag), name: `#${tag}` })),
+    ],
+    attachment,
+    replies: {
+      id: `${id}/replies`,
+      type: "Collection",
+    },
+    likes: {
+      id: `${id}/likes`,
+      type: "Collection",
+      totalItems: (post.likes || []).length,
+    },
+  };
+}
+
+// Announce activity for a local boost of `original`
+function buildAnnounce(boost, original, actorUrl) {
+  return {
+    id: boost.activityId,
+    type: "Announce",
+    actor: actorUrl,
+    published: new Date(boost.createdAt).toISOString(),
+    to: [AS_PUBLIC],
+    cc: [original.actor, `${actorUrl}/followers`].filter(Boolean),
+    object: objectUrl(original),
+  };
+}
+
+// Note for a direct message. Recipients not mentioned in the text are mentioned up front,
+// as Mastodon only shows a direct Note to the accounts it mentions.
+function buildDirectNote(message, context, actorUrl) {
+  const written = new Set();
+  replaceMentions(message.content, (match, prefix, name) => written.add(name));
+  const unwritten = (message.mentions || []).filter((m) => !written.has(m.name)).map((m) => m.name);
+
+  return {
+    id: message.activityId,
+    type: "Note",
+    attributedTo: actorUrl,
+    content: captionHtml({ caption: [...unwritten, message.content].join(" "), mentions: message.mentions }),
+    published: new Date(message.createdAt).toISOString(),
+    to: message.to,
+    cc: [],
+    ...(message.inReplyTo && { inReplyTo: message.inReplyTo }),
+    ...(context && { context, conversation: context }),
+    tag: (message.mentions || []).map((m) => ({ type: "Mention", href: m.actor, name: m.name })),
+    ...(message.imageUrl && { attachment: attachmentFor(message.imageUrl) }),
+  };
+}
+
+// Tombstone left behind by a deleted object
+function buildTombstone(tombstone) {
+  return {
+    id: tombstone.objectId,
+    type: "Tombstone",
+    formerType: tombstone.formerType,
+    deleted: new Date(tombstone.deleted).toISOString(),
+  };
+}
+
+// Accept or Reject answering a Follow a local actor received
+function buildFollowResponse(type, actorUrl, follow) {
+  return {
+    "@context": AS_CONTEXT,
+    id: `${actorUrl}#${type.toLowerCase()}s/${Date.now()}`,
+    type,
+    actor: actorUrl,
+    object: follow,
+  };
+}
+
+module.exports = {
+  AS_CONTEXT,
+  AS_PUBLIC,
+  idOf,
+  postUrl,
+  objectUrl,
+  buildNote,
+  buildAnnounce,
+  buildDirectNote,
+  buildTombstone,
+  buildFollowResponse,
+};
@@ -0,0 +1,159 @@
+// utils/actorResolver.js
+const axios = require("axios");
+const RemoteActor = require("../models/RemoteActor");
+const User = require("../models/User");
+const { localHost } = require("./webfinger");
+
+// Cached actors older than this are fetched again on next use
+const ACTOR_TTL_MS = 24 * 60 * 60 * 1000;
+
+const ACTOR_TYPES = ["Person", "Service", "Application", "Group", "Organization"];
+
+const isFresh = (actor) => actor && Date.now() - actor.fetchedAt.getTime() < ACTOR_TTL_MS;
+
+const fetchDocument = async (url) => {
+  const res = await axios.get(url, {
+    headers: { Accept: "application/activity+json" },
+    timeout: 10000,
+  });
+  return res.data;
+};
+
+// Stores (or refreshes) an actor document we already hold, e.g. from an Update{Person}
+async function storeActor(doc) {
+  if (!doc?.id || !ACTOR_TYPES.includes(doc.type)) return null;
+
+  const icon = Array.isArray(doc.icon) ? doc.icon[0] : doc.icon;
+  const host = new URL(doc.id).host;
+
+  return RemoteActor.findOneAndUpdate(
+    { actorId: doc.id },
+    {
+      $set: {
+        type: doc.type,
+        preferredUsername: doc.preferredUsername,
+        handle: doc.preferredUsername ? `${doc.preferredUsername}@${host}` : undefined,
+        displayName: doc.name || doc.preferredUsername,
+        summary: doc.summary,
+        avatar: typeof icon === "string" ? icon : icon?.url,
+        url: typeof doc.url === "string" ? doc.url : doc.url?.href,
+        inbox: doc.inbox,
+        sharedInbox: doc.endpoints?.sharedInbox,
+        outbox: doc.outbox,
+        followers: doc.followers,
+        publicKeyId: doc.publicKey?.id,
+        publicKeyPem: doc.publicKey?.publicKeyPem,
+        fetchedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Returns the cached actor, fetching it when unknown, stale or `force`d.
+// Falls back to a stale copy (or null) when the remote server can't be reached.
+async function resolveActor(actorUrl, { force = false } = {}) {
+  if (!actorUrl) return null;
+
+  const cached = await RemoteActor.findOne({ actorId: actorUrl });
+  if (!force && isFresh(cached)) return cached;
+
+  try {
+    const doc = await fetchDocument(actorUrl);
+    if (doc?.id !== actorUrl) {
+      console.error("⚠️ Actor document id does not match its URL:", actorUrl);
+      return cached;
+    }
+    return (await storeActor(doc)) || cached;
+  } catch (error) {
+    console.error("❌ Error resolving actor:", actorUrl, error.message);
+    return cached;
+  }
+}
+
+// Finds the actor owning a signing key; keyId is usually `${actor}#main-key`
+async function resolveActorByKeyId(keyId, { force = false } = {}) {
+  const cached = await RemoteActor.findOne({ publicKeyId: keyId });
+  if (!force && isFresh(cached)) return cached;
+
+  const keyUrl = keyId.split("#")[0];
+  const doc = await fetchDocument(keyUrl);
+
+  // keyId may point at the actor itself or at a standalone key document
+  let actor;
+  if (ACTOR_TYPES.includes(doc?.type)) {
+    if (doc.id !== keyUrl) throw new Error(`Actor document id does not match ${keyUrl}`);
+    actor = await storeActor(doc);
+  } else {
+    actor = await resolveActor(doc?.owner, { force: true });
+  }
+
+  if (!actor || actor.publicKeyId !== keyId) {
+    throw new Error(`No public key ${keyId} found on its actor`);
+  }
+  return actor;
+}
+
+// Personal inbox of an actor, or null when it can't be resolved
+async function resolveInbox(actorUrl) {
+  const actor = await resolveActor(actorUrl);
+  if (!actor?.inbox) {
+    console.error("⚠️ No inbox found for actor", actorUrl);
+    return null;
+  }
+  return actor.inbox;
+}
+
+// Cached profiles (without fetching) for rendering remote authors, keyed by actor id
+async function cachedProfiles(actorUrls) {
+  const actors = await RemoteActor.find({ actorId: { $in: [...new Set(actorUrls)] } });
+  return new Map(actors.map((actor) => [actor.actorId, actor]));
+}
+
+const localActorPrefix = () => `${process.env.BASE_URL}/users/`;
+
+// Name, handle and avatar for each actor URL, local or remote (remote ones from the
+// actor cache, without fetching), keyed by actor URL
+async function describeActors(actorUrls) {
+  const localNames = actorUrls
+    .filter((url) => url.startsWith(localActorPrefix()))
+    .map((url) => url.slice(localActorPrefix().length));
+  const [localUsers, profiles] = await Promise.all([
+    User.find({ username: { $in: localNames } }).select("username displayName"),
+    cachedProfiles(actorUrls.filter((url) => !url.startsWith(localActorPrefix()))),
+  ]);
+  const localByActor = new Map(localUsers.map((user) => [`${localActorPrefix()}${user.username}`, user]));
+
+  return new Map(actorUrls.map((actor) => {
+    const user = localByActor.get(actor);
+    if (user) {
+      return [actor, {
+        actor,
+        username: user.username,
+        displayName: user.displayName || user.username,
+        handle: `${user.username}@${localHost()}`,
+        local: true,
+      }];
+    }
+    const profile = profiles.get(actor);
+    const fallbackName = actor.split("/").pop();
+    return [actor, {
+      actor,
+      username: profile?.preferredUsername || fallbackName,
+      displayName: profile?.displayName || profile?.preferredUsername || fallbackName,
+      handle: profile?.handle,
+      avatar: profile?.avatar,
+      local: false,
+    }];
+  }));
+}
+
+module.exports = {
+  ACTOR_TTL_MS,
+  storeActor,
+  resolveActor,
+  resolveActorByKeyId,
+  resolveInbox,
+  cachedProfiles,
+  describeActors,
+};
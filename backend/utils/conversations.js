@@ -0,0 +1,176 @@
+// utils/conversations.js
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const { resolveActor } = require("./actorResolver");
+const { enqueueDelivery } = require("./deliveryQueue");
+const { AS_CONTEXT, idOf, buildDirectNote } = require("./activityBuilder");
+const { mentionsFromTags } = require("./mentions");
+const { localHost } = require("./webfinger");
+const { profilePageUrl } = require("./frontendUrls");
+
+const localActorPrefix = () => `${process.env.BASE_URL}/users/`;
+
+const messageUrl = (message) => `${process.env.BASE_URL}/messages/${message._id}`;
+const conversationUrl = (conversation) => `${process.env.BASE_URL}/conversations/${conversation._id}`;
+
+// Sorted, de-duplicated actor URLs of a direct Note's author and recipients
+function participantsOf(actor, ...addressLists) {
+  const actors = [actor, ...addressLists.flatMap((list) => [].concat(list || []))]
+    .map(idOf)
+    .filter((url) => url && !/\/followers$/.test(url));
+  return [...new Set(actors)].sort();
+}
+
+// Whether the fetcher (the actor behind a valid signature, or a logged-in local user)
+// is one of the conversation's participants
+const mayReadConversation = (conversation, fetcher) =>
+  Boolean(fetcher) && conversation.participants.includes(fetcher);
+
+// Mention tag (plus inbox for remote actors) for a participant, or null if unknown
+async function mentionFor(actorUrl) {
+  if (actorUrl.startsWith(localActorPrefix())) {
+    const username = actorUrl.slice(localActorPrefix().length);
+    return {
+      actor: actorUrl,
+      name: `@${username}@${localHost()}`,
+      url: profilePageUrl(username),
+      inbox: null,
+    };
+  }
+
+  const remote = await resolveActor(actorUrl);
+  if (!remote?.handle) return null;
+  return {
+    actor: actorUrl,
+    name: `@${remote.handle}`,
+    url: remote.url || actorUrl,
+    inbox: remote.sharedInbox || remote.inbox,
+  };
+}
+
+// The conversation between exactly these participants, started if there is none.
+// New conversations use `context` when given, otherwise their own URL.
+async function conversationFor(participants, context) {
+  const existing = await Conversation.findOne({
+    participants: { $all: participants, $size: participants.length },
+  });
+  if (existing) return existing;
+
+  const conversation = new Conversation({ participants, context: context || undefined });
+  if (!conversation.context) conversation.context = conversationUrl(conversation);
+  return conversation.save();
+}
+
+// Stores an incoming direct Note in its conversation (found by `context`, the message
+// it replies to, or its participants) and returns the message. `sender` is the signed
+// actor of the delivery; it is the author, whatever the Note's `attributedTo` says.
+async function storeIncomingMessage(object, sender) {
+  const existing = await Message.findOne({ activityId: object.id });
+  if (existing) return existing;
+
+  const actor = idOf(sender);
+  const participants = participantsOf(actor, object.to, object.cc);
+  const context = idOf(object.context) || idOf(object.conversation) || null;
+
+  let conversation = context ? await Conversation.findOne({ context }) : null;
+  if (!conversation && object.inReplyTo) {
+    const parent = await Message.findOne({ activityId: idOf(object.inReplyTo) });
+    if (parent) conversation = await Conversation.findById(parent.conversation);
+  }
+
+  // Only someone already in a conversation can add to it
+  if (conversation && !conversation.participants.includes(actor)) {
+    conversation = await conversationFor(participants);
+  }
+  if (!conversation) conversation = await conversationFor(participants, context);
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    actor,
+    content: (object.content || "").replace(/<\/?[^>]+(>|$)/g, ""), // Strip HTML tags
+    imageUrl: object.attachment?.[0]?.url || null,
+    to: [].concat(object.to || []),
+    mentions: mentionsFromTags(object.tag),
+    activityId: object.id,
+    inReplyTo: idOf(object.inReplyTo) || null,
+    remote: true,
+  });
+
+  // Replies may bring new people into the conversation
+  conversation.participants = [...new Set([...conversation.participants, ...participants])].sort();
+  conversation.lastMessageAt = message.createdAt;
+  await conversation.save();
+
+  return message;
+}
+
+// Stores a message from local `user` (optionally with an image) and delivers it to
+// the conversation's remote participants
+async function sendMessage(user, conversation, content, { imageUrl = null } = {}) {
+  const actorUrl = `${localActorPrefix()}${user.username}`;
+  const recipients = conversation.participants.filter((actor) => actor !== actorUrl);
+  const mentions = (await Promise.all(recipients.map(mentionFor))).filter(Boolean);
+  const latest = await Message.findOne({ conversation: conversation._id }).sort({ createdAt: -1 });
+
+  const message = new Message({
+    conversation: conversation._id,
+    author: user._id,
+    actor: actorUrl,
+    content,
+    imageUrl,
+    to: recipients,
+    mentions: mentions.map(({ actor, name, url }) => ({ actor, name, url })),
+    inReplyTo: latest?.activityId || null,
+    remote: false,
+  });
+  message.activityId = messageUrl(message);
+  await message.save();
+
+  // Sending a message also means having read everything before it
+  conversation.lastMessageAt = message.createdAt;
+  markRead(conversation, actorUrl, message.createdAt);
+  await conversation.save();
+
+  const create = {
+    "@context": AS_CONTEXT,
+    id: `${message.activityId}/activity`,
+    type: "Create",
+    actor: actorUrl,
+    to: message.to,
+    cc: [],
+    object: buildDirectNote(message, conversation.context, actorUrl),
+  };
+  await enqueueDelivery(user.username, mentions.map((m) => m.inbox), create);
+
+  return message;
+}
+
+// Messages in `conversation` from others that `actor` has not read yet
+async function unreadCount(conversation, actor) {
+  const readAt = conversation.reads.find((read) => read.actor === actor)?.readAt;
+  return Message.countDocuments({
+    conversation: conversation._id,
+    actor: { $ne: actor },
+    ...(readAt && { createdAt: { $gt: readAt } }),
+  });
+}
+
+// Records that `actor` has read `conversation` up to `at` (the caller saves it)
+function markRead(conversation, actor, at = new Date()) {
+  const read = conversation.reads.find((entry) => entry.actor === actor);
+  if (read) read.readAt = at;
+  else conversation.reads.push({ actor, readAt: at });
+}
+
+module.exports = {
+  messageUrl,
+  conversationUrl,
+  participantsOf,
+  mentionFor,
+  conversationFor,
+  storeIncomingMessage,
+  sendMessage,
+  unreadCount,
+  markRead,
+  mayReadConversation,
+};
@@ -0,0 +1,53 @@
+// utils/deleteLocalPost.js
+const Post = require("../models/Post");
+const User = require("../models/User");
+const Tombstone = require("../models/Tombstone");
+const Notification = require("../models/Notification");
+const { enqueueDelivery, followerInboxes } = require("./deliveryQueue");
+const { resolveInbox } = require("./actorResolver");
+const { streamDelete } = require("./streaming");
+const { AS_CONTEXT, AS_PUBLIC, postUrl, buildTombstone } = require("./activityBuilder");
+
+// Deletes a post and, for local posts, sends a Delete{Tombstone} to everyone who got it:
+// followers (unless it was direct) and remote accounts it was addressed to
+async function deleteLocalPost(post) {
+  await Post.deleteMany({ boostOf: post._id });
+  await post.deleteOne();
+  await Notification.deleteMany({ post: post._id });
+  await streamDelete(post);
+
+  if (post.remote) return;
+
+  const tombstone = await Tombstone.findOneAndUpdate(
+    { objectId: postUrl(post) },
+    { $setOnInsert: { formerType: "Note", deleted: new Date() } },
+    { upsert: true, new: true }
+  );
+
+  const author = await User.findById(post.author);
+  if (!author) return;
+
+  const actorUrl = `${process.env.BASE_URL}/users/${author.username}`;
+  const deleteActivity = {
+    "@context": AS_CONTEXT,
+    id: `${tombstone.objectId}#delete`,
+    type: "Delete",
+    actor: actorUrl,
+    to: [AS_PUBLIC],
+    object: buildTombstone(tombstone),
+  };
+
+  const addressed = [...(post.to || []), ...(post.cc || [])].filter(
+    (address) => address !== AS_PUBLIC
+      && !address.endsWith("/followers")
+      && !address.startsWith(`${process.env.BASE_URL}/`)
+  );
+  const inboxes = [
+    ...(post.visibility === "direct" ? [] : await followerInboxes(author)),
+    ...await Promise.all(addressed.map(resolveInbox)),
+  ];
+
+  await enqueueDelivery(author.username, inboxes, deleteActivity);
+}
+
+module.exports = deleteLocalPost;
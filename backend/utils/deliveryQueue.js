@@ -0,0 +1,194 @@
+// utils/deliveryQueue.js
+const DeliveryJob = require("../models/DeliveryJob");
+const InboxHealth = require("../models/InboxHealth");
+const { REQUEST_TIMEOUT_MS, sendSignedRequest } = require("./sendSignedRequest");
+const { resolveActor } = require("./actorResolver");
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// An inbox is marked dead once this many jobs have failed for good
+// and it has not accepted anything for DEAD_AFTER_MS
+const DEAD_AFTER_FAILED_JOBS = 5;
+const DEAD_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+// A job still "delivering" after this long outlived its request timeout
+// (e.g. the process died mid-delivery) and goes back in the queue
+const STUCK_AFTER_MS = 2 * REQUEST_TIMEOUT_MS;
+
+let timer = null;
+let running = false;
+
+function backoffDelay(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Inbox URLs for a local user's remote followers. Followers on a server that
+// advertises a shared inbox share one delivery per server. Local followers
+// read our posts straight from the database, so nothing is sent to them.
+async function followerInboxes(user) {
+  const followers = (user.followers || [])
+    .map((follower) => follower.replace(/\/inbox$/, ""))
+    .filter((follower) => !follower.startsWith(`${process.env.BASE_URL}/`));
+
+  const inboxes = await Promise.all(
+    followers.map(async (followerActor) => {
+      const actor = await resolveActor(followerActor);
+      if (!actor?.inbox) console.error("⚠️ No inbox found for follower", followerActor);
+      return actor?.sharedInbox || actor?.inbox;
+    })
+  );
+
+  return [...new Set(inboxes.filter(Boolean))];
+}
+
+// Queue one activity for delivery to every given inbox (duplicates are ignored)
+async function enqueueDelivery(actorUsername, inboxes, activity) {
+  const targets = [...new Set([].concat(inboxes).filter(Boolean))];
+  if (targets.length === 0) return [];
+
+  const dead = await InboxHealth.find({ inbox: { $in: targets }, dead: true }).select("inbox");
+  const deadInboxes = new Set(dead.map((d) => d.inbox));
+
+  const jobs = targets
+    .filter((inbox) => {
+      if (deadInboxes.has(inbox)) {
+        console.log(`⚠️ Skipping dead inbox: ${inbox}`);
+        return false;
+      }
+      return true;
+    })
+    .map((inbox) => ({ actorUsername, inbox, activity }));
+
+  if (jobs.length === 0) return [];
+  return DeliveryJob.insertMany(jobs);
+}
+
+async function markInboxFailed(inbox) {
+  const now = new Date();
+  const health = await InboxHealth.findOneAndUpdate(
+    { inbox },
+    {
+      $inc: { failedJobs: 1 },
+      $set: { lastFailureAt: now },
+      $setOnInsert: { firstFailureAt: now },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (
+    !health.dead &&
+    health.failedJobs >= DEAD_AFTER_FAILED_JOBS &&
+    now - health.firstFailureAt >= DEAD_AFTER_MS
+  ) {
+    health.dead = true;
+    await health.save();
+    console.log(`💀 Marked inbox as dead: ${inbox}`);
+  }
+}
+
+async function deliverJob(job) {
+  try {
+    await sendSignedRequest(job.actorUsername, job.inbox, job.activity);
+
+    job.status = "delivered";
+    job.deliveredAt = new Date();
+    job.lastError = undefined;
+    await job.save();
+
+    // A successful delivery means the inbox is healthy again
+    await InboxHealth.deleteOne({ inbox: job.inbox });
+  } catch (err) {
+    job.lastError = err.response ? `HTTP ${err.response.status}` : err.message;
+
+    // 4xx responses (other than rate limiting) will not succeed on retry
+    const status = err.response?.status;
+    const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+    if (permanent || job.attempts >= MAX_ATTEMPTS) {
+      job.status = "failed";
+      await job.save();
+      await markInboxFailed(job.inbox);
+      console.error(`❌ Delivery to ${job.inbox} failed for good: ${job.lastError}`);
+    } else {
+      job.status = "pending";
+      job.nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts));
+      await job.save();
+      console.log(`🔁 Delivery to ${job.inbox} failed (attempt ${job.attempts}), retrying at ${job.nextAttemptAt.toISOString()}`);
+    }
+  }
+}
+
+// Claim a batch of due jobs and deliver them side by side, so a slow or dead
+// inbox only holds up its own job (for at most the request timeout)
+async function processDueJobs() {
+  if (running) return;
+  running = true;
+
+  try {
+    await DeliveryJob.updateMany(
+      { status: "delivering", updatedAt: { $lt: new Date(Date.now() - STUCK_AFTER_MS) } },
+      { $set: { status: "pending", lastError: "Delivery did not finish" } }
+    );
+
+    const jobs = [];
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const job = await DeliveryJob.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: "delivering" }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!job) break;
+      jobs.push(job);
+    }
+
+    const results = await Promise.allSettled(jobs.map(deliverJob));
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) => console.error("❌ Delivery worker error:", result.reason?.message));
+  } catch (err) {
+    console.error("❌ Delivery worker error:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+async function startDeliveryWorker() {
+  if (timer) return;
+
+  // Jobs left "delivering" by a previous process never finished
+  try {
+    await DeliveryJob.updateMany({ status: "delivering" }, { $set: { status: "pending" } });
+  } catch (err) {
+    console.error("❌ Failed to reset in-flight deliveries:", err.message);
+  }
+
+  timer = setInterval(processDueJobs, POLL_INTERVAL_MS);
+  console.log("📬 Delivery worker started");
+}
+
+function stopDeliveryWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Put a failed job back in the queue and give its inbox another chance
+async function retryJob(job) {
+  job.status = "pending";
+  job.attempts = 0;
+  job.nextAttemptAt = new Date();
+  job.lastError = undefined;
+  await job.save();
+  await InboxHealth.deleteOne({ inbox: job.inbox });
+  return job;
+}
+
+module.exports = {
+  enqueueDelivery,
+  followerInboxes,
+  processDueJobs,
+  startDeliveryWorker,
+  stopDeliveryWorker,
+  retryJob,
+};
@@ -0,0 +1,140 @@
+// utils/feedItems.js
+const Post = require("../models/Post");
+const User = require("../models/User");
+const { cachedProfiles } = require("./actorResolver");
+const { objectUrl } = require("./activityBuilder");
+const { paginateByCursor } = require("./pagination");
+const { LISTED, viewerOf, canView, visibleTo } = require("./visibility");
+
+// Shape a post (local or remote) the way the feed renders it.
+// Remote authors come from the actor cache when we have them.
+function toFeedItem(post, profiles) {
+  if (!post.remote) return post.toObject();
+  const profile = profiles.get(post.actor);
+  const fallbackName = post.actor?.split("/users/")[1];
+  return {
+    _id: post._id,
+    actor: post.actor,
+    author: {
+      username: profile?.preferredUsername || fallbackName,
+      displayName: profile?.displayName || fallbackName,
+      handle: profile?.handle,
+      avatar: profile?.avatar
+    },
+    imageUrl: post.imageUrl,
+    caption: post.caption,
+    activityId: post.activityId,
+    inReplyTo: post.inReplyTo,
+    visibility: post.visibility,
+    likes: post.likes,
+    editedAt: post.editedAt,
+    editHistory: post.editHistory,
+    remote: true,
+    createdAt: post.createdAt
+  };
+}
+
+// A boost shows the original post, credited to whoever reshared it
+function toBoostFeedItem(boost, original, profiles) {
+  return {
+    ...toFeedItem(original, profiles),
+    boostId: boost._id,
+    boostedBy: {
+      username: boost.author?.username
+        || profiles.get(boost.actor)?.preferredUsername
+        || boost.actor?.split("/users/")[1],
+      actor: boost.actor
+    },
+    createdAt: boost.createdAt
+  };
+}
+
+// Public and unlisted replies to each post, keyed by the post's object URL
+async function replyCounts(posts) {
+  const counts = await Post.aggregate([
+    { $match: { inReplyTo: { $in: posts.map(objectUrl) }, visibility: { $in: LISTED } } },
+    { $group: { _id: "$inReplyTo", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+}
+
+// The feed item for a single stored post or boost, or null if it (or the boosted post) is gone
+async function feedItemFor(postId) {
+  const post = await Post.findById(postId).populate("author", "username displayName");
+  if (!post) return null;
+  const original = post.boostOf
+    ? await Post.findById(post.boostOf).populate("author", "username displayName")
+    : post;
+  if (!original) return null;
+
+  const profiles = await cachedProfiles([post, original].filter((p) => p.remote).map((p) => p.actor));
+  const counts = await replyCounts([original]);
+  return {
+    ...(post.boostOf ? toBoostFeedItem(post, original, profiles) : toFeedItem(post, profiles)),
+    repliesCount: counts.get(objectUrl(original)) || 0,
+  };
+}
+
+// One page of `user`'s home timeline: posts and boosts (not replies) by them and the
+// accounts they follow, that they may see. Cursors work as in paginateByCursor.
+async function homeTimeline(user, { maxId, minId, sinceId, limit } = {}) {
+  const following = user.following || [];
+  const localUsernames = following
+    .filter((url) => url.startsWith(process.env.BASE_URL))
+    .map((url) => url.split("/users/")[1]);
+  const remoteFollowing = following.filter((url) => !url.startsWith(process.env.BASE_URL));
+  const viewer = viewerOf(user);
+  const localFollowing = await User.find({ username: { $in: localUsernames } }).select("_id");
+
+  const filter = {
+    $and: [
+      { inReplyTo: null },
+      {
+        $or: [
+          { author: { $in: [...localFollowing.map((u) => u._id), user._id] }, remote: false },
+          { actor: { $in: remoteFollowing }, remote: true },
+        ],
+      },
+      visibleTo(viewer),
+    ],
+  };
+
+  const { items: posts, next, prev } = await paginateByCursor(Post, filter, {
+    maxId,
+    minId,
+    sinceId,
+    limit,
+    populate: { path: "author", select: "username displayName" },
+  });
+
+  // Load the originals of any boosts (missing ones have been deleted), leaving out
+  // those the viewer may not see, just as streamNewPost does
+  const originals = (await Post.find({ _id: { $in: posts.filter((p) => p.boostOf).map((p) => p.boostOf) } })
+    .populate("author", "username displayName"))
+    .filter((original) => canView(original, viewer));
+  const originalsById = new Map(originals.map((post) => [post._id.toString(), post]));
+
+  const [profiles, counts] = await Promise.all([
+    cachedProfiles([...posts, ...originals].filter((post) => post.remote).map((post) => post.actor)),
+    replyCounts([...posts.filter((post) => !post.boostOf), ...originals]),
+  ]);
+
+  const items = posts
+    .map((post) => {
+      const original = post.boostOf ? originalsById.get(post.boostOf.toString()) : post;
+      if (!original) return null;
+      const item = post.boostOf ? toBoostFeedItem(post, original, profiles) : toFeedItem(post, profiles);
+      return { ...item, repliesCount: counts.get(objectUrl(original)) || 0 };
+    })
+    .filter(Boolean);
+
+  return { items, next, prev };
+}
+
+module.exports = {
+  toFeedItem,
+  toBoostFeedItem,
+  replyCounts,
+  feedItemFor,
+  homeTimeline,
+};
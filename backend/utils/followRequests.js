@@ -0,0 +1,43 @@
+// utils/followRequests.js
+const User = require("../models/User");
+const respondToFollow = require("./respondToFollow");
+const { withdraw } = require("./notifications");
+
+// Approves or rejects one of `user`'s pending follow requests and saves the user.
+// Local requesters are updated directly, remote ones are sent an Accept or Reject.
+async function settleFollowRequest(user, request, approve) {
+  const { actor, activity } = request;
+  request.deleteOne();
+  if (approve && !user.followers.includes(actor)) {
+    user.followers.push(actor);
+  }
+  await user.save();
+  await withdraw(user._id, "follow_request", actor);
+
+  const localPrefix = `${process.env.BASE_URL}/users/`;
+  if (actor.startsWith(localPrefix)) {
+    const follower = await User.findOne({ username: actor.slice(localPrefix.length) });
+    if (follower) {
+      const userActor = `${process.env.BASE_URL}/users/${user.username}`;
+      follower.pendingFollowing = follower.pendingFollowing.filter((p) => p.actor !== userActor);
+      if (approve && !follower.following.includes(userActor)) {
+        follower.following.push(userActor);
+      }
+      await follower.save();
+    }
+  } else {
+    await respondToFollow(user, activity, approve ? "Accept" : "Reject");
+  }
+}
+
+// An account that stops approving followers by hand accepts everyone still waiting
+async function approveAllFollowRequests(user) {
+  for (const request of [...user.followRequests]) {
+    await settleFollowRequest(user, request, true);
+  }
+}
+
+module.exports = {
+  settleFollowRequest,
+  approveAllFollowRequests,
+};
@@ -0,0 +1,15 @@
+// utils/frontendUrls.js
+
+// Origin the React app is served from. Pages like profiles and tag timelines only
+// exist there, so links meant for people must point at it rather than at DOMAIN.
+const frontendOrigin = () => (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+const frontendUrl = (path) => `${frontendOrigin()}${path}`;
+
+const profilePageUrl = (username) => frontendUrl(`/profile/${encodeURIComponent(username)}`);
+
+module.exports = {
+  frontendOrigin,
+  frontendUrl,
+  profilePageUrl,
+};
@@ -0,0 +1,41 @@
+// utils/hashtags.js
+const { frontendUrl } = require("./frontendUrls");
+
+// `#tag`, not preceded by a word character, `&` (HTML entities) or `/` (URL fragments).
+// Tags need at least one non-digit, so "#1" is not a hashtag.
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu;
+
+// Tags are matched case-insensitively, so they are stored lowercased
+const normalizeTag = (tag) => String(tag || "").replace(/^#/, "").normalize("NFKC").toLowerCase();
+
+// Tag timelines are a page of the React app
+const tagUrl = (tag) => frontendUrl(`/tags/${encodeURIComponent(normalizeTag(tag))}`);
+
+// Calls `fn(match, prefix, tag)` for every hashtag in `text` (tag as written) and returns the replaced text
+function replaceHashtags(text, fn) {
+  return String(text || "").replace(HASHTAG_PATTERN, (match, prefix, tag) => fn(match, prefix, tag));
+}
+
+// Normalized, de-duplicated tags of a caption
+function extractHashtags(caption) {
+  const tags = new Set();
+  replaceHashtags(caption, (match, prefix, tag) => tags.add(normalizeTag(tag)));
+  return [...tags];
+}
+
+// Hashtags listed in the `tag` array of an incoming Note
+function hashtagsFromTags(tags) {
+  const names = [].concat(tags || [])
+    .filter((tag) => tag?.type === "Hashtag" && tag.name)
+    .map((tag) => normalizeTag(tag.name))
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+module.exports = {
+  normalizeTag,
+  tagUrl,
+  replaceHashtags,
+  extractHashtags,
+  hashtagsFromTags,
+};
@@ -0,0 +1,67 @@
+// utils/mentions.js
+const User = require("../models/User");
+const { resolveActor } = require("./actorResolver");
+const { localHost, lookupActorUrl } = require("./webfinger");
+const { profilePageUrl } = require("./frontendUrls");
+
+// `@user` (local) or `@user@domain`, not preceded by a word character, `@` or `/`
+const MENTION_PATTERN = /(^|[^\w@/])@(\w+(?:[.-]\w+)*)(?:@(\w+(?:[.-]\w+)*(?::\d+)?))?/g;
+
+// Full `@user@domain` name of a mention as written in a caption
+const mentionName = (username, domain) => `@${username}@${(domain || localHost()).toLowerCase()}`;
+
+// Calls `fn(match, prefix, name)` for every mention in `text` and returns the replaced text
+function replaceMentions(text, fn) {
+  return String(text || "").replace(MENTION_PATTERN, (match, prefix, username, domain) =>
+    fn(match, prefix, mentionName(username, domain))
+  );
+}
+
+// Resolves the mentions in a caption to actors.
+// Returns `{ actor, name, url, inbox }` for each one; unknown accounts are skipped.
+async function resolveMentions(caption) {
+  const names = new Set();
+  replaceMentions(caption, (match, prefix, name) => names.add(name));
+
+  const resolved = await Promise.all(
+    [...names].map(async (name) => {
+      const [, username, domain] = name.split("@");
+
+      if (domain === localHost()) {
+        const user = await User.findOne({ username });
+        if (!user) return null;
+        const actor = `${process.env.BASE_URL}/users/${user.username}`;
+        return { actor, name, url: profilePageUrl(user.username), inbox: null };
+      }
+
+      try {
+        const remote = await resolveActor(await lookupActorUrl(`${username}@${domain}`));
+        if (!remote) return null;
+        return {
+          actor: remote.actorId,
+          name,
+          url: remote.url || remote.actorId,
+          inbox: remote.sharedInbox || remote.inbox,
+        };
+      } catch (err) {
+        console.log(`⚠️ Could not resolve mention ${name}:`, err.message);
+        return null;
+      }
+    })
+  );
+
+  return resolved.filter(Boolean);
+}
+
+// Mentions listed in the `tag` array of an incoming Note
+function mentionsFromTags(tags) {
+  return [].concat(tags || [])
+    .filter((tag) => tag?.type === "Mention" && tag.href)
+    .map((tag) => ({ actor: tag.href, name: tag.name || tag.href, url: tag.href }));
+}
+
+module.exports = {
+  replaceMentions,
+  resolveMentions,
+  mentionsFromTags,
+};
@@ -0,0 +1,92 @@
+// utils/notifications.js
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { describeActors } = require("./actorResolver");
+const { findStoredPost } = require("./remotePosts");
+const { streamNotification } = require("./streaming");
+
+const NOTIFICATION_TYPES = ["follow", "follow_request", "like", "boost", "reply", "mention"];
+
+const localActorPrefix = () => `${process.env.BASE_URL}/users/`;
+
+// Notifications as the API returns them, with the acting account described.
+// `post` should be populated (caption, imageUrl, inReplyTo).
+async function describeNotifications(notifications) {
+  const people = await describeActors([...new Set(notifications.map((n) => n.actor))]);
+  return notifications.map((notification) => ({
+    _id: notification._id,
+    type: notification.type,
+    account: people.get(notification.actor),
+    post: notification.post,
+    read: notification.read,
+    createdAt: notification.createdAt,
+  }));
+}
+
+const unreadCountFor = (userId) => Notification.countDocuments({ recipient: userId, read: false });
+
+// The local user behind an actor URL, or null
+const localUserFor = (actorUrl) =>
+  typeof actorUrl === "string" && actorUrl.startsWith(localActorPrefix())
+    ? User.findOne({ username: actorUrl.slice(localActorPrefix().length) })
+    : null;
+
+// Tells the local user `recipientId` that `actor` did something (about `post`).
+// Nobody hears about their own actions, and the same event is only recorded once.
+// Errors are logged, not thrown: a lost notification must not fail the action.
+async function notify(recipientId, type, actor, post = null) {
+  if (!recipientId || !actor) return;
+
+  try {
+    const recipient = await User.findById(recipientId).select("username");
+    if (!recipient || `${localActorPrefix()}${recipient.username}` === actor) return;
+
+    const event = { recipient: recipient._id, type, actor, post: post?._id || post || null };
+    const { upsertedId } = await Notification.updateOne(event, { $setOnInsert: event }, { upsert: true });
+    if (!upsertedId) return;
+
+    const created = await Notification.findById(upsertedId).populate("post", "caption imageUrl inReplyTo");
+    const [item] = await describeNotifications([created]);
+    streamNotification(recipient._id, item, await unreadCountFor(recipient._id));
+  } catch (err) {
+    console.error(`⚠️ Could not record ${type} notification:`, err.message);
+  }
+}
+
+// Removes the notification for an action that was undone (unlike, unboost, unfollow)
+async function withdraw(recipientId, type, actor, post = null) {
+  if (!recipientId || !actor) return;
+
+  try {
+    await Notification.deleteMany({ recipient: recipientId, type, actor, post: post?._id || post || null });
+  } catch (err) {
+    console.error(`⚠️ Could not withdraw ${type} notification:`, err.message);
+  }
+}
+
+// Notifies about a new post: the author of the local post it replies to gets a
+// `reply`, local accounts it mentions get a `mention` (but not both)
+async function notifyAboutPost(post) {
+  const parent = post.inReplyTo ? await findStoredPost(post.inReplyTo).catch(() => null) : null;
+  const repliedTo = parent && !parent.remote ? parent.author : null;
+  if (repliedTo) await notify(repliedTo, "reply", post.actor, post);
+
+  const mentioned = await Promise.all(
+    (post.mentions || []).map((mention) => localUserFor(mention.actor))
+  );
+  for (const user of mentioned) {
+    if (user && String(user._id) !== String(repliedTo)) {
+      await notify(user._id, "mention", post.actor, post);
+    }
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  describeNotifications,
+  unreadCountFor,
+  localUserFor,
+  notify,
+  withdraw,
+  notifyAboutPost,
+};
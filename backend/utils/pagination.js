@@ -0,0 +1,110 @@
+// utils/pagination.js
+const mongoose = require("mongoose");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 40;
+
+const pageSize = (limit) =>
+  Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Cursors are "<createdAt ms>_<_id>" so posts created in the same millisecond stay ordered
+const encodeCursor = (doc) => `${new Date(doc.createdAt).getTime()}_${doc._id}`;
+
+function decodeCursor(cursor) {
+  if (typeof cursor !== "string") return null;
+  const [ms, id] = cursor.split("_");
+  const createdAt = new Date(Number(ms));
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+}
+
+const olderThan = ({ createdAt, _id }) => ({
+  $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }],
+});
+
+const newerThan = ({ createdAt, _id }) => ({
+  $or: [{ createdAt: { $gt: createdAt } }, { createdAt, _id: { $gt: _id } }],
+});
+
+/**
+ * Newest-first page of `Model` documents matching `filter`.
+ * `maxId` pages towards older documents, `minId` towards newer ones (the page right
+ * after the cursor). `sinceId` only keeps documents newer than the cursor, newest first.
+ * Returns the documents plus `next` (older) and `prev` (newer) cursors, or null at either end.
+ */
+async function paginateByCursor(Model, filter, { maxId, minId, sinceId, limit, populate } = {}) {
+  const size = pageSize(limit);
+  const max = decodeCursor(maxId);
+  const min = decodeCursor(minId);
+  const since = decodeCursor(sinceId);
+
+  let query;
+  if (min) {
+    query = Model.find({ $and: [filter, newerThan(min)] }).sort({ createdAt: 1, _id: 1 });
+  } else {
+    const bounds = [max && olderThan(max), since && newerThan(since)].filter(Boolean);
+    query = Model.find(bounds.length > 0 ? { $and: [filter, ...bounds] } : filter).sort({ createdAt: -1, _id: -1 });
+  }
+  if (populate) query = query.populate(populate);
+
+  const docs = await query.limit(size);
+  if (min) docs.reverse();
+
+  if (docs.length === 0) {
+    return { items: [], next: null, prev: null };
+  }
+
+  const first = { createdAt: docs[0].createdAt, _id: docs[0]._id };
+  const last = { createdAt: docs[docs.length - 1].createdAt, _id: docs[docs.length - 1]._id };
+  const [hasOlder, hasNewer] = await Promise.all([
+    Model.exists({ $and: [filter, olderThan(last)] }),
+    Model.exists({ $and: [filter, newerThan(first)] }),
+  ]);
+
+  return {
+    items: docs,
+    next: hasOlder ? encodeCursor(docs[docs.length - 1]) : null,
+    prev: hasNewer ? encodeCursor(docs[0]) : null,
+  };
+}
+
+// `Link` header pointing at the next (older) and prev (newer) pages of this request
+function linkHeader(req, { next, prev }) {
+  const pageUrl = (cursor) => {
+    const url = new URL(`${process.env.BASE_URL}${req.baseUrl}${req.path}`);
+    Object.entries(req.query)
+      .filter(([key]) => !["max_id", "min_id", "since_id"].includes(key))
+      .forEach(([key, value]) => url.searchParams.set(key, String(value)));
+    Object.entries(cursor).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  };
+
+  return [
+    next && `<${pageUrl({ max_id: next })}>; rel="next"`,
+    prev && `<${pageUrl({ min_id: prev })}>; rel="prev"`,
+  ].filter(Boolean).join(", ");
+}
+
+// Page number (1-based) of a plain array, newest entries first
+function paginateArray(array, page, limit) {
+  const size = pageSize(limit);
+  const current = Math.max(parseInt(page) || 1, 1);
+  const newestFirst = [...array].reverse();
+  const start = (current - 1) * size;
+
+  return {
+    items: newestFirst.slice(start, start + size),
+    page: current,
+    next: start + size < newestFirst.length ? current + 1 : null,
+    prev: current > 1 ? current - 1 : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  paginateByCursor,
+  linkHeader,
+  paginateArray,
+};
@@ -0,0 +1,68 @@
+// utils/postPage.js
+// Minimal server-rendered pages for browsers that open a post permalink
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const layout = (title, head, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  ${head}
+</head>
+<body style="margin:0; background:#f5f7fb; font-family:Arial, sans-serif; color:#0f172a;">
+  <main style="max-width:600px; margin:40px auto; padding:0 16px;">
+    ${body}
+  </main>
+</body>
+</html>`;
+
+function renderPostPage(post, username, noteUrl) {
+  const handle = `@${username}@${new URL(noteUrl).host}`;
+  const caption = escapeHtml(post.caption || "");
+  const published = new Date(post.createdAt);
+
+  const head = `
+  <link rel="alternate" type="application/activity+json" href="${escapeHtml(noteUrl)}">
+  <meta property="og:type" content="article">
+  <meta property="og:url" content="${escapeHtml(noteUrl)}">
+  <meta property="og:title" content="${escapeHtml(handle)}">
+  <meta property="og:description" content="${caption}">
+  ${post.imageUrl ? `<meta property="og:image" content="${escapeHtml(post.imageUrl)}">` : ""}`;
+
+  const body = `
+    <article style="background:#ffffff; border-radius:18px; overflow:hidden; box-shadow:0 10px 30px rgba(15,23,42,0.08);">
+      <header style="padding:16px 20px; font-weight:bold;">${escapeHtml(handle)}</header>
+      ${post.imageUrl ? `<img src="${escapeHtml(post.imageUrl)}" alt="" style="display:block; width:100%;">` : ""}
+      <div style="padding:16px 20px;">
+        <p style="font-size:16px; line-height:1.5; margin:0 0 12px 0; white-space:pre-wrap;">${caption}</p>
+        <small style="color:#64748b;">
+          <time datetime="${published.toISOString()}">${published.toUTCString()}</time>
+          ${post.editedAt ? " · edited" : ""}
+          · ${(post.likes || []).length} likes
+        </small>
+      </div>
+    </article>`;
+
+  return layout(`${handle}: ${post.caption || "Post"}`, head, body);
+}
+
+function renderGonePage() {
+  return layout("Post deleted", "", `
+    <div style="text-align:center; padding:40px 0;">
+      <h1 style="font-size:22px;">This post has been deleted</h1>
+    </div>`);
+}
+
+module.exports = {
+  escapeHtml,
+  renderPostPage,
+  renderGonePage,
+};
@@ -0,0 +1,96 @@
+// utils/remotePosts.js
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const { idOf } = require("./activityBuilder");
+const { mentionsFromTags } = require("./mentions");
+const { hashtagsFromTags } = require("./hashtags");
+const { visibilityFromAddressing } = require("./visibility");
+
+// Turns `${DOMAIN}/posts/:id` into the local Post id, or null for foreign URLs
+const localPostIdFromUrl = (url) => {
+  const prefix = `${process.env.DOMAIN}/posts/`;
+  if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+  const id = url.slice(prefix.length).split(/[/?#]/)[0];
+  return mongoose.isValidObjectId(id) ? id : null;
+};
+
+// Whether two URLs are on the same host (false if either is not a URL)
+const sameHost = (a, b) => {
+  try {
+    return new URL(a).host === new URL(b).host;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Builds (but does not save) a Post for a remote Note
+const remotePostFromNote = (object, fallbackActor) => {
+  const content = object.content || "";
+  const image = object.attachment?.[0]?.url || null;
+
+  return new Post({
+    actor: idOf(object.attributedTo) || idOf(fallbackActor),
+    imageUrl: image,
+    caption: content.replace(/<\/?[^>]+(>|$)/g, ""), // Strip HTML tags
+    to: object.to || [],
+    cc: object.cc || [],
+    visibility: visibilityFromAddressing(object.to, object.cc),
+    mentions: mentionsFromTags(object.tag),
+    tags: hashtagsFromTags(object.tag),
+    activityId: object.id,
+    inReplyTo: idOf(object.inReplyTo) || null,
+    remote: true
+  });
+};
+
+// Saving a post whose activityId is already stored (a concurrent redelivery) fails with this
+const isDuplicateKey = (err) => err?.code === 11000;
+
+// The stored Post (local or remote) an object URL refers to, or null
+const findStoredPost = async (objectUrl) => {
+  const localId = localPostIdFromUrl(objectUrl);
+  if (localId) return Post.findById(localId);
+  return Post.findOne({ activityId: objectUrl });
+};
+
+// Finds the Post an object URL refers to, fetching and storing remote Notes we don't have yet
+const findOrFetchPost = async (objectUrl) => {
+  const existing = await findStoredPost(objectUrl);
+  if (existing || localPostIdFromUrl(objectUrl)) return existing;
+
+  const { data } = await axios.get(objectUrl, {
+    headers: { Accept: "application/activity+json" },
+    timeout: 10000,
+  });
+
+  if (data?.type !== "Note" || data.id !== objectUrl) {
+    console.log(`Fetched object at ${objectUrl} is not a Note, skipping.`);
+    return null;
+  }
+
+  // Nobody vouches for a fetched Note but its server, which can only speak for its own actors
+  if (!sameHost(idOf(data.attributedTo), objectUrl)) {
+    console.log(`Fetched Note ${objectUrl} is attributed to ${idOf(data.attributedTo)} on another host, skipping.`);
+    return null;
+  }
+
+  const post = remotePostFromNote(data);
+  try {
+    await post.save();
+  } catch (err) {
+    // Stored by someone else in the meantime
+    if (isDuplicateKey(err)) return Post.findOne({ activityId: objectUrl });
+    throw err;
+  }
+  console.log(`Fetched remote post ${objectUrl}`);
+  return post;
+};
+
+module.exports = {
+  localPostIdFromUrl,
+  remotePostFromNote,
+  isDuplicateKey,
+  findStoredPost,
+  findOrFetchPost,
+};
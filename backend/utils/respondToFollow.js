@@ -0,0 +1,18 @@
+// utils/respondToFollow.js
+const { enqueueDelivery } = require("./deliveryQueue");
+const { resolveInbox } = require("./actorResolver");
+const { buildFollowResponse } = require("./activityBuilder");
+
+// Queue an Accept or Reject of `follow` from a local user to the follower's inbox
+async function respondToFollow(localUser, follow, type) {
+  const actorUrl = `${process.env.BASE_URL}/users/${localUser.username}`;
+  const followerActor = typeof follow.actor === "string" ? follow.actor : follow.actor?.id;
+
+  const inboxUrl = await resolveInbox(followerActor);
+  if (!inboxUrl) return;
+
+  await enqueueDelivery(localUser.username, inboxUrl, buildFollowResponse(type, actorUrl, follow));
+  console.log(`Queued ${type} of follow by ${followerActor}`);
+}
+
+module.exports = respondToFollow;
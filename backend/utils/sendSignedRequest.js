@@ -4,6 +4,9 @@ const crypto = require("crypto");
 const axios = require("axios");
 const User = require("../models/User");
 
+// Remote inboxes get this long to answer; a server that never does must not hold us up
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
 const sendSignedRequest = async (actorUsername, inboxUrl, activity) => {
   try {
     // Validate username
@@ -49,7 +52,11 @@ digest: SHA-256=${digest}`;
     };
 
     // Actually send the POST request
-    await axios.post(inboxUrl, activity, { headers });
+    await axios.post(inboxUrl, activity, {
+      headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
     console.log("Signed follow request sent to:", inboxUrl);
   } catch (err) {
     console.error("❌ Failed to send signed request:", err.message);
@@ -57,4 +64,4 @@ digest: SHA-256=${digest}`;
   }
 };
 
-module.exports = { sendSignedRequest };
+module.exports = { REQUEST_TIMEOUT_MS, sendSignedRequest };
@@ -0,0 +1,128 @@
+// utils/streaming.js
+// Server-Sent Events: open streams of signed-in users and the events pushed to them.
+// Publishing never throws; a missed event must not fail the action behind it.
+const User = require("../models/User");
+const Post = require("../models/Post");
+const { objectUrl } = require("./activityBuilder");
+const { viewerOf, canView } = require("./visibility");
+const { feedItemFor, replyCounts } = require("./feedItems");
+const { findStoredPost } = require("./remotePosts");
+
+// Comment lines keep idle connections (and proxies in between) from timing out
+const HEARTBEAT_MS = 25 * 1000;
+
+// Open responses by user id; a user may have several tabs open
+const streams = new Map();
+
+const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Turns `res` into an event stream for `userId` until the client goes away
+function openStream(req, res, userId) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(": connected\n\n");
+
+  const key = String(userId);
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(res);
+
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const open = streams.get(key);
+    open?.delete(res);
+    if (open?.size === 0) streams.delete(key);
+  });
+}
+
+function streamToUser(userId, event, data) {
+  streams.get(String(userId))?.forEach((res) => send(res, event, data));
+}
+
+// Connected users as viewers, read fresh so follows made since connecting count
+async function connectedViewers() {
+  if (streams.size === 0) return [];
+  const users = await User.find({ _id: { $in: [...streams.keys()] } }).select("username following");
+  return users.map(viewerOf);
+}
+
+// `update`: a new top-level post or boost, for everyone whose home feed shows it
+async function streamNewPost(post) {
+  try {
+    if (post.inReplyTo) return;
+    const authorId = String(post.author?._id || post.author);
+    const viewers = (await connectedViewers()).filter(
+      (viewer) => viewer.id === authorId || viewer.following.includes(post.actor)
+    );
+    if (viewers.length === 0) return;
+
+    const original = post.boostOf ? await Post.findById(post.boostOf) : post;
+    const item = original && await feedItemFor(post._id);
+    if (!item) return;
+
+    viewers
+      .filter((viewer) => canView(post, viewer) && canView(original, viewer))
+      .forEach((viewer) => streamToUser(viewer.id, "update", item));
+  } catch (err) {
+    console.error("⚠️ Could not stream new post:", err.message);
+  }
+}
+
+// `counts`: a post's likes and reply count, for everyone connected who may see it
+async function streamCounts(postId) {
+  try {
+    if (streams.size === 0) return;
+    const post = await Post.findById(postId);
+    if (!post) return;
+
+    const counts = await replyCounts([post]);
+    const data = { id: post._id, likes: post.likes, repliesCount: counts.get(objectUrl(post)) || 0 };
+    (await connectedViewers())
+      .filter((viewer) => canView(post, viewer))
+      .forEach((viewer) => streamToUser(viewer.id, "counts", data));
+  } catch (err) {
+    console.error("⚠️ Could not stream counts:", err.message);
+  }
+}
+
+// New counts for the post `reply` answers, if we have it
+async function streamParentCounts(reply) {
+  if (!reply.inReplyTo || streams.size === 0) return;
+  const parent = await findStoredPost(reply.inReplyTo).catch(() => null);
+  if (parent) await streamCounts(parent._id);
+}
+
+// `delete`: a post or boost is gone (clients drop items whose _id or boostId match),
+// for everyone connected who may see it, and so may have been sent it
+async function streamDelete(post) {
+  try {
+    if (streams.size > 0) {
+      const original = post.boostOf ? await Post.findById(post.boostOf) : post;
+      (await connectedViewers())
+        .filter((viewer) => canView(post, viewer) && (!original || canView(original, viewer)))
+        .forEach((viewer) => streamToUser(viewer.id, "delete", { id: post._id }));
+    }
+  } catch (err) {
+    console.error("⚠️ Could not stream delete:", err.message);
+  }
+  await streamParentCounts(post);
+}
+
+// `notification`: a new notification, with the recipient's unread count
+function streamNotification(userId, notification, unread) {
+  streamToUser(userId, "notification", { notification, unread });
+}
+
+module.exports = {
+  openStream,
+  streamNewPost,
+  streamCounts,
+  streamParentCounts,
+  streamDelete,
+  streamNotification,
+};
@@ -0,0 +1,95 @@
+// utils/visibility.js
+const User = require("../models/User");
+const { AS_PUBLIC } = require("./activityBuilder");
+
+const VISIBILITIES = ["public", "unlisted", "followers", "direct"];
+
+// Posts anyone (including anonymous viewers) may see
+const LISTED = ["public", "unlisted"];
+
+// Compacted JSON-LD may abbreviate the Public collection
+const isPublicAddress = (address) => [AS_PUBLIC, "as:Public", "Public"].includes(address);
+
+// to/cc for a local post. `followersUrl` is the author's followers collection
+// and `mentioned` the actor URLs mentioned in the caption.
+function addressPost(visibility, followersUrl, mentioned = []) {
+  switch (visibility) {
+    case "unlisted":
+      return { to: [followersUrl], cc: [AS_PUBLIC, ...mentioned] };
+    case "followers":
+      return { to: [followersUrl], cc: mentioned };
+    case "direct":
+      return { to: mentioned, cc: [] };
+    default:
+      return { to: [AS_PUBLIC], cc: [followersUrl, ...mentioned] };
+  }
+}
+
+// Visibility of an incoming object, read back from its addressing
+function visibilityFromAddressing(to, cc) {
+  const toList = [].concat(to || []);
+  const ccList = [].concat(cc || []);
+
+  if (toList.some(isPublicAddress)) return "public";
+  if (ccList.some(isPublicAddress)) return "unlisted";
+  if ([...toList, ...ccList].some((address) => /\/followers$/.test(address))) return "followers";
+  return "direct";
+}
+
+// A local user as the `{ id, actor, following }` viewer the checks below take
+function viewerOf(user) {
+  return {
+    id: user._id.toString(),
+    actor: `${process.env.BASE_URL}/users/${user.username}`,
+    following: user.following || [],
+  };
+}
+
+// The signed-in user as a viewer, or null for anonymous requests
+async function viewerFor(req) {
+  if (!req.user?.id) return null;
+  const user = await User.findById(req.user.id).select("username following");
+  return user ? viewerOf(user) : null;
+}
+
+// Whether `viewer` (null when anonymous) may see `post`
+function canView(post, viewer) {
+  if (!post.visibility || LISTED.includes(post.visibility)) return true;
+  if (!viewer) return false;
+
+  const authorId = post.author?._id || post.author;
+  if (authorId && authorId.toString() === viewer.id) return true;
+
+  const audience = [...(post.to || []), ...(post.cc || []), ...(post.audience || [])];
+  if (audience.includes(viewer.actor)) return true;
+
+  return post.visibility === "followers" && viewer.following.includes(post.actor);
+}
+
+// Query filter matching the posts `viewer` may see (mirrors canView)
+function visibleTo(viewer) {
+  const listed = { visibility: { $nin: ["followers", "direct"] } };
+  if (!viewer) return listed;
+
+  return {
+    $or: [
+      listed,
+      { author: viewer.id },
+      { to: viewer.actor },
+      { cc: viewer.actor },
+      { audience: viewer.actor },
+      { visibility: "followers", actor: { $in: viewer.following } },
+    ],
+  };
+}
+
+module.exports = {
+  VISIBILITIES,
+  LISTED,
+  addressPost,
+  visibilityFromAddressing,
+  viewerOf,
+  viewerFor,
+  canView,
+  visibleTo,
+};
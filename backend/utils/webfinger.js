@@ -0,0 +1,42 @@
+// utils/webfinger.js
+const axios = require("axios");
+
+const ACTIVITY_TYPES = [
+  "application/activity+json",
+  'application/ld+json; profile="https://www.w3.org/ns/activitystreams"',
+];
+
+// Host (with port, if any) our own accounts live on
+const localHost = () => new URL(process.env.BASE_URL).host.toLowerCase();
+
+// Splits "user@domain", "@user@domain" or "acct:user@domain" into its parts
+function parseHandle(handle) {
+  const match = /^(?:acct:)?@?([^@\s/]+)@([^@\s/]+)$/.exec(String(handle || "").trim());
+  if (!match) return null;
+  return { username: match[1], domain: match[2].toLowerCase() };
+}
+
+// Looks up `user@domain` on its server and returns the actor URL from the `self` link
+async function lookupActorUrl(handle) {
+  const parsed = parseHandle(handle);
+  if (!parsed) throw new Error(`Invalid handle: ${handle}`);
+
+  const { username, domain } = parsed;
+  const res = await axios.get(`https://${domain}/.well-known/webfinger`, {
+    params: { resource: `acct:${username}@${domain}` },
+    headers: { Accept: "application/jrd+json, application/json" },
+    timeout: 10000,
+  });
+
+  const self = (res.data?.links || []).find(
+    (link) => link.rel === "self" && ACTIVITY_TYPES.includes(link.type)
+  );
+  if (!self?.href) throw new Error(`No ActivityPub actor found for ${username}@${domain}`);
+  return self.href;
+}
+
+module.exports = {
+  localHost,
+  parseHandle,
+  lookupActorUrl,
+};
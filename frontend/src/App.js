@@ -13,6 +13,11 @@ import FollowersPage from "./Pages/FollowersPage";
 import RemoteSearch from "./Pages/RemoteSearch";
 import UserOutboxPage from "./Pages/UserOutboxPage";
 import LocalUserSearch from "./Pages/LocalUserSearch";
+import FollowRequestsPage from "./Pages/FollowRequestsPage";
+import TagPage from "./Pages/TagPage";
+import MessagesPage from "./Pages/MessagesPage";
+import ThreadPage from "./Pages/ThreadPage";
+import NotificationsPage from "./Pages/NotificationsPage";
 import ForgotPassword from "./Pages/ForgotPassword";
 import Home from "./Pages/home";
 import Footer from "./components/Footer";
@@ -37,6 +42,11 @@ function App() {
             <Route path="/followers/:username" element={<FollowersPage />} />
             <Route path="/remote-search" element={<RemoteSearch />} />
             <Route path="/local-users" element={<LocalUserSearch />} />
+            <Route path="/follow-requests" element={<FollowRequestsPage />} />
+            <Route path="/tags/:tag" element={<TagPage />} />
+            <Route path="/messages" element={<MessagesPage />} />
+            <Route path="/posts/:id" element={<ThreadPage />} />
+            <Route path="/notifications" element={<NotificationsPage />} />
             <Route
               path="/users/:username/outbox"
               element={<UserOutboxPage />}
@@ -6,6 +6,9 @@ import { jwtDecode } from "jwt-decode";
 
 import { motion, AnimatePresence } from "framer-motion";
 import { Link } from "react-router-dom"; // Import Link
+import InfiniteScroll from "react-infinite-scroll-component";
+import Caption from "../components/Caption";
+import { subscribe } from "../utils/stream";
 import {
   FaHeart,
   FaRegHeart,
@@ -14,9 +17,20 @@ import {
   FaMoon,
   FaCommentDots,
   FaTrash,
-  FaEdit
+  FaEdit,
+  FaRetweet,
+  FaLock,
+  FaLockOpen,
+  FaEnvelope
 } from "react-icons/fa";
 
+// How non-public posts are labelled; public posts get no label
+const VISIBILITY_LABELS = {
+  unlisted: { icon: FaLockOpen, text: "Unlisted" },
+  followers: { icon: FaLock, text: "Followers only" },
+  direct: { icon: FaEnvelope, text: "Only mentioned people" },
+};
+
 const feedContainerVariants = {
   hidden: { opacity: 0, y: 14 },
   visible: {
@@ -37,6 +51,9 @@ const feedItemVariants = {
   exit: { opacity: 0, y: 10, scale: 0.98 },
 };
 
+// The older page from a `Link` header, if there is one
+const nextPageUrl = (link) => link?.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null;
+
 const fadeInUp = {
   hidden: { opacity: 0, y: 12 },
   visible: { opacity: 1, y: 0, transition: { duration: 0.25 } },
@@ -47,6 +64,7 @@ const FeedPage = () => {
   const [darkMode, setDarkMode] = useState(false);
   const { token } = useContext(AuthContext);
   const [userId, setUserId] = useState("");
+  const [userActor, setUserActor] = useState("");
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -60,6 +78,18 @@ const FeedPage = () => {
   const [newComment, setNewComment] = useState("");
   const [editingComment, setEditingComment] = useState(null);
   const [editCommentText, setEditCommentText] = useState("");
+  // Replies to comments, loaded per comment when expanded
+  const [childReplies, setChildReplies] = useState({});
+  const [replyTarget, setReplyTarget] = useState(null);
+
+  // Edit history of the post whose "edited" marker was clicked
+  const [historyPostId, setHistoryPostId] = useState(null);
+
+  // Posts pushed over the stream, shown once the user asks for them
+  const [incoming, setIncoming] = useState([]);
+
+  // URL of the next (older) page of the timeline, null once we reach the end
+  const [nextPage, setNextPage] = useState(null);
 
   const fetchFeed = useCallback(async () => {
     try {
@@ -71,6 +101,7 @@ const FeedPage = () => {
         },
       });
       setFeed(res.data || []);
+      setNextPage(nextPageUrl(res.headers.link));
       setError(null);
     } catch (err) {
       console.error("Error fetching feed:", err);
@@ -80,12 +111,34 @@ const FeedPage = () => {
     }
   }, [token]);
 
+  // Infinite scroll: append the next page, skipping items we already show
+  const fetchMore = async () => {
+    if (!nextPage) return;
+    try {
+      const res = await axios.get(nextPage, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "ngrok-skip-browser-warning": "true",
+        },
+      });
+      setFeed((prev) => {
+        const shown = new Set(prev.map((item) => item.boostId || item._id));
+        return [...prev, ...(res.data || []).filter((item) => !shown.has(item.boostId || item._id))];
+      });
+      setNextPage(nextPageUrl(res.headers.link));
+    } catch (err) {
+      console.error("Error loading more posts:", err);
+      setNextPage(null);
+    }
+  };
+
   useEffect(() => {
     const initialize = async () => {
       try {
         if (token) {
           const decoded = jwtDecode(token);
           setUserId(decoded.id);
+          setUserActor(decoded.actor);
         }
         await fetchFeed();
       } catch (err) {
@@ -96,13 +149,46 @@ const FeedPage = () => {
     initialize();
   }, [token, fetchFeed]);
 
+  // Live updates: new posts wait behind the banner, counts and deletions apply at once
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const feedKey = (item) => item.boostId || item._id;
+    const isGone = (id) => (item) => item._id === id || item.boostId === id;
+
+    const unsubscribers = [
+      subscribe("update", (item) => {
+        setIncoming((prev) => (prev.some((p) => feedKey(p) === feedKey(item)) ? prev : [item, ...prev]));
+      }),
+      subscribe("counts", ({ id, likes, repliesCount }) => {
+        const applyCounts = (item) => (item._id === id ? { ...item, likes, repliesCount } : item);
+        setFeed((prev) => prev.map(applyCounts));
+        setIncoming((prev) => prev.map(applyCounts));
+      }),
+      subscribe("delete", ({ id }) => {
+        setFeed((prev) => prev.filter((item) => !isGone(id)(item)));
+        setIncoming((prev) => prev.filter((item) => !isGone(id)(item)));
+      }),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [token]);
+
+  const showIncoming = () => {
+    setFeed((prev) => {
+      const shown = new Set(prev.map((item) => item.boostId || item._id));
+      return [...incoming.filter((item) => !shown.has(item.boostId || item._id)), ...prev];
+    });
+    setIncoming([]);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
   const handleLike = async (postId) => {
     if (!token || !postId) return;
 
     // Determine HTTP method BEFORE optimistic update to avoid stale state
     const targetPost = feed.find(p => p._id === postId);
     const currentLikes = targetPost?.likes || [];
-    const isCurrentlyLiked = currentLikes.includes(userId);
+    const isCurrentlyLiked = currentLikes.includes(userActor);
     const method = isCurrentlyLiked ? "delete" : "post";
 
     try {
@@ -111,12 +197,12 @@ const FeedPage = () => {
         prevFeed.map(post => {
           if (post._id === postId) {
             const likesArray = post.likes || [];
-            const isLiked = likesArray.includes(userId);
+            const isLiked = likesArray.includes(userActor);
             return {
               ...post,
               likes: isLiked
-                ? likesArray.filter(id => id !== userId)
-                : [...likesArray, userId]
+                ? likesArray.filter(id => id !== userActor)
+                : [...likesArray, userActor]
             };
           }
           return post;
@@ -137,8 +223,32 @@ const FeedPage = () => {
     }
   };
 
-  const copyShareLink = (postId) => {
-    navigator.clipboard.writeText(`${window.location.origin}/posts/${postId}`);
+  // Boost the post, or undo it when this item is our own boost
+  const handleBoost = async (post) => {
+    if (!token || !post._id) return;
+    const isOwnBoost = post.boostedBy?.username === username;
+
+    try {
+      await axios({
+        method: isOwnBoost ? "delete" : "post",
+        url: `${process.env.REACT_APP_API_URL}/api/posts/${post._id}/boost`,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "ngrok-skip-browser-warning": "true",
+        },
+      });
+      fetchFeed();
+    } catch (err) {
+      console.error("Boost action failed:", err);
+    }
+  };
+
+  // Remote posts are shared by their origin URL, local ones by their permalink
+  const copyShareLink = (post) => {
+    const link = post.remote && post.activityId
+      ? post.activityId
+      : `${process.env.REACT_APP_API_URL}/posts/${post._id}`;
+    navigator.clipboard.writeText(link);
     alert("Link copied to clipboard!");
   };
 
@@ -147,10 +257,12 @@ const FeedPage = () => {
     setShowModal(true);
     setEditingComment(null);
     setEditCommentText("");
+    setChildReplies({});
+    setReplyTarget(null);
 
     try {
       const res = await axios.get(
-        `${process.env.REACT_APP_API_URL}/api/posts/${postId}/comment`,
+        `${process.env.REACT_APP_API_URL}/api/posts/${postId}/replies`,
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -166,25 +278,64 @@ const FeedPage = () => {
     }
   };
 
+  // Show or hide the replies to a comment
+  const toggleChildReplies = async (commentId) => {
+    if (childReplies[commentId]) {
+      setChildReplies(({ [commentId]: _hidden, ...rest }) => rest);
+      return;
+    }
+
+    try {
+      const res = await axios.get(
+        `${process.env.REACT_APP_API_URL}/api/posts/${commentId}/replies`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "ngrok-skip-browser-warning": "true",
+          },
+        }
+      );
+      setChildReplies(prev => ({ ...prev, [commentId]: res.data }));
+    } catch (err) {
+      console.error("❌ Failed to fetch replies", err);
+    }
+  };
+
+  // Comments answer the post, or the comment picked with "Reply"
   const handleCommentSubmit = async () => {
     if (!newComment.trim()) return;
+    const parentId = replyTarget?._id || selectedPostId;
     try {
       const res = await axios.post(
-        `${process.env.REACT_APP_API_URL}/api/posts/${selectedPostId}/comment`,
-        { content: newComment },
+        `${process.env.REACT_APP_API_URL}/api/posts/${parentId}/replies`,
+        { caption: newComment },
         {
           headers: {
             Authorization: `Bearer ${token}`,
           },
         }
       );
-      setComments(prev => [...prev, res.data]);
+      const reply = { ...res.data.reply, repliesCount: 0 };
+      if (replyTarget) {
+        setChildReplies(prev => ({ ...prev, [parentId]: [...(prev[parentId] || []), reply] }));
+      } else {
+        setComments(prev => [...prev, reply]);
+      }
       setNewComment("");
+      setReplyTarget(null);
     } catch (err) {
       console.error("❌ Failed to post comment", err);
     }
   };
 
+  // Applies `change` to the top-level comments and every loaded list of replies
+  const updateCommentLists = (change) => {
+    setComments(change);
+    setChildReplies(prev =>
+      Object.fromEntries(Object.entries(prev).map(([id, replies]) => [id, change(replies)]))
+    );
+  };
+
   // Delete Comment Function
   const handleDeleteComment = async (commentId) => {
     if (!window.confirm("Are you sure you want to delete this comment?")) return;
@@ -199,8 +350,8 @@ const FeedPage = () => {
         }
       );
 
-      // Remove comment from state
-      setComments(prev => prev.filter(comment => comment._id !== commentId));
+      // Remove comment from state, wherever it sits in the thread
+      updateCommentLists(list => list.filter(comment => comment._id !== commentId));
     } catch (err) {
       console.error("❌ Failed to delete comment", err);
       alert("Failed to delete comment");
@@ -210,7 +361,7 @@ const FeedPage = () => {
   // Edit Comment Functions
   const startEditComment = (comment) => {
     setEditingComment(comment._id);
-    setEditCommentText(comment.content);
+    setEditCommentText(comment.caption);
   };
 
   const cancelEditComment = () => {
@@ -232,10 +383,10 @@ const FeedPage = () => {
         }
       );
 
-      // Update comment in state
-      setComments(prev =>
-        prev.map(comment =>
-          comment._id === commentId ? res.data : comment
+      // Update comment in state (keeping its reply count)
+      updateCommentLists(list =>
+        list.map(comment =>
+          comment._id === commentId ? { ...comment, ...res.data } : comment
         )
       );
 
@@ -253,8 +404,116 @@ const FeedPage = () => {
     setComments([]);
     setEditingComment(null);
     setEditCommentText("");
+    setChildReplies({});
+    setReplyTarget(null);
   };
 
+  // One comment with its (expanded) replies, indented per level.
+  // `parentOwnerId` is whoever wrote what it answers; they may delete it too.
+  const renderComment = (comment, depth, parentOwnerId) => (
+    <div
+      key={comment._id}
+      className={`mb-4 pb-3 ${depth === 0 ? "border-bottom" : "border-start ps-3"} ${darkMode ? 'border-secondary' : ''}`}
+    >
+      <div className="d-flex justify-content-between align-items-start mb-2">
+        <div className="d-flex align-items-center">
+          <div className="rounded-circle overflow-hidden me-3" style={{ width: '40px', height: '40px' }}>
+            <img
+              src={comment.author?.avatar || `https://i.pravatar.cc/150?img=${Math.floor(Math.random() * 70)}`}
+              alt="User"
+              className="w-100 h-100 object-fit-cover"
+            />
+          </div>
+          <div>
+            <h6 className="mb-0 fw-bold">{comment.author?.username || "User"}</h6>
+            <small className="text-muted">
+              {formatDate(comment.createdAt)}
+              {comment.editedAt && " · edited"}
+            </small>
+          </div>
+        </div>
+
+        {/* Edit/Delete buttons (only for comment owner or post owner) */}
+        {(comment.author?._id === userId || parentOwnerId === userId) && (
+          <div className="dropdown">
+            <button
+              className="btn btn-link text-muted p-0"
+              data-bs-toggle="dropdown"
+            >
+              <i className="fas fa-ellipsis-h"></i>
+            </button>
+            <ul className={`dropdown-menu dropdown-menu-end ${darkMode ? 'dropdown-menu-dark' : ''}`}>
+              {comment.author?._id === userId && (
+                <li>
+                  <button
+                    className="dropdown-item"
+                    onClick={() => startEditComment(comment)}
+                  >
+                    <FaEdit className="me-2" /> Edit
+                  </button>
+                </li>
+              )}
+              <li>
+                <button
+                  className="dropdown-item text-danger"
+                  onClick={() => handleDeleteComment(comment._id)}
+                >
+                  <FaTrash className="me-2" /> Delete
+                </button>
+              </li>
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {/* Comment Content - Edit Mode or View Mode */}
+      {editingComment === comment._id ? (
+        <div className="mt-3">
+          <textarea
+            className={`form-control mb-2 ${darkMode ? 'bg-secondary text-white border-secondary' : ''}`}
+            value={editCommentText}
+            onChange={(e) => setEditCommentText(e.target.value)}
+            rows="2"
+          />
+          <div className="d-flex gap-2">
+            <button
+              className="btn btn-sm btn-success"
+              onClick={() => handleEditComment(comment._id)}
+            >
+              Save
+            </button>
+            <button
+              className={`btn btn-sm btn-outline-secondary ${darkMode ? 'text-white' : ''}`}
+              onClick={cancelEditComment}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="mb-0 ps-5">{comment.caption ? <Caption text={comment.caption} /> : ""}</p>
+      )}
+
+      <div className="ps-5 mt-1 d-flex gap-3 small">
+        <button className="btn btn-link btn-sm p-0" onClick={() => setReplyTarget(comment)}>
+          Reply
+        </button>
+        {comment.repliesCount > 0 && (
+          <button className="btn btn-link btn-sm p-0" onClick={() => toggleChildReplies(comment._id)}>
+            {childReplies[comment._id] ? "Hide replies" : `View replies (${comment.repliesCount})`}
+          </button>
+        )}
+      </div>
+
+      {/* Nested replies */}
+      {childReplies[comment._id] && (
+        <div className="mt-3 ms-4">
+          {childReplies[comment._id].map((reply) => renderComment(reply, depth + 1, comment.author?._id))}
+        </div>
+      )}
+    </div>
+  );
+
   // Format date to show time ago
   const formatDate = (dateString) => {
     if (!dateString) return "Recently";
@@ -335,6 +594,14 @@ const FeedPage = () => {
         <div className="row">
           {/* Main Feed */}
           <div className="col-lg-8 mx-auto feed-main">
+            {incoming.length > 0 && (
+              <div className="text-center mb-3 sticky-top" style={{ top: "70px", zIndex: 10 }}>
+                <button className="btn btn-primary rounded-pill shadow-sm px-4" onClick={showIncoming}>
+                  {incoming.length === 1 ? "1 new post" : `${incoming.length} new posts`}
+                </button>
+              </div>
+            )}
+
             {feed.length === 0 ? (
               <motion.div
                 className="text-center py-5"
@@ -354,6 +621,14 @@ const FeedPage = () => {
                 </div>
               </motion.div>
             ) : (
+              <InfiniteScroll
+                dataLength={feed.length}
+                next={fetchMore}
+                hasMore={Boolean(nextPage)}
+                style={{ overflow: "visible" }}
+                loader={<p className={`text-center my-3 ${darkMode ? "text-light" : "text-muted"}`}>Loading more posts...</p>}
+                endMessage={<p className={`text-center my-3 small ${darkMode ? "text-light" : "text-muted"}`}>You're all caught up</p>}
+              >
               <motion.div
                 className="feed-container"
                 variants={feedContainerVariants}
@@ -362,20 +637,28 @@ const FeedPage = () => {
               >
                 <AnimatePresence>
                 {feed.map((post) => {
-                  const isLiked = (post.likes || []).includes(userId);
+                  const isLiked = (post.likes || []).includes(userActor);
                   const likeCount = (post.likes || []).length;
                   const hasImage = post.image || post.imageUrl;
 
                   return (
                     <motion.div
                       className="card mb-4 shadow-sm border-0 rounded-3 overflow-hidden feed-card"
-                      key={post._id}
+                      key={post.boostId || post._id}
                       variants={feedItemVariants}
                       initial="hidden"
                       animate="visible"
                       exit="exit"
                       layout
                     >
+                      {/* Boost banner */}
+                      {post.boostedBy && (
+                        <div className={`px-3 pt-2 small ${darkMode ? "text-light" : "text-muted"}`}>
+                          <FaRetweet className="me-1" />
+                          {post.boostedBy.username === username ? "You" : post.boostedBy.username} boosted
+                        </div>
+                      )}
+
                       {/* Post Header */}
                       <div className="card-header bg-white border-0 d-flex align-items-center justify-content-between py-3 feed-post-header">
                         <div className="d-flex align-items-center">
@@ -390,7 +673,19 @@ const FeedPage = () => {
                             <h6 className="mb-0 fw-bold">{post.author?.username || "unknown"}</h6>
                             <small className={darkMode ? "text-light" : "text-muted"}>
                               <i className="fas fa-clock me-1"></i>
-                              {post.createdAt ? formatDate(post.createdAt) : "Recently"}
+                              <Link to={`/posts/${post._id}`} className={darkMode ? "text-light" : "text-muted"}>
+                                {post.createdAt ? formatDate(post.createdAt) : "Recently"}
+                              </Link>
+                              {post.editedAt && (
+                                <button
+                                  type="button"
+                                  className={`btn btn-link btn-sm p-0 ms-2 align-baseline ${darkMode ? "text-light" : "text-muted"}`}
+                                  onClick={() => setHistoryPostId(historyPostId === post._id ? null : post._id)}
+                                  title={`Edited ${new Date(post.editedAt).toLocaleString()}`}
+                                >
+                                  · edited
+                                </button>
+                              )}
                             </small>
                           </div>
                         </div>
@@ -467,7 +762,31 @@ const FeedPage = () => {
 
                         {/* Post Caption */}
                           <div className="p-4 feed-post-body">
-                          <h5 className="fw-bold mb-3">{post.caption || "No caption"}</h5>
+                          <h5 className="fw-bold mb-3">{post.caption ? <Caption text={post.caption} /> : "No caption"}</h5>
+
+                          {VISIBILITY_LABELS[post.visibility] && (() => {
+                            const { icon: Icon, text } = VISIBILITY_LABELS[post.visibility];
+                            return (
+                              <small className={`d-block mb-3 ${darkMode ? "text-light" : "text-muted"}`}>
+                                <Icon className="me-1" />{text}
+                              </small>
+                            );
+                          })()}
+
+                          {/* Edit history */}
+                          {historyPostId === post._id && (post.editHistory || []).length > 0 && (
+                            <div className={`mb-3 p-3 rounded-3 small ${darkMode ? "bg-secondary" : "bg-light"}`}>
+                              <h6 className="fw-bold mb-2">Edit history</h6>
+                              {[...post.editHistory].reverse().map((version, index) => (
+                                <div key={index} className="mb-2">
+                                  <span className={darkMode ? "text-light" : "text-muted"}>
+                                    Until {new Date(version.editedAt).toLocaleString()}:
+                                  </span>{" "}
+                                  {version.caption || "No caption"}
+                                </div>
+                              ))}
+                            </div>
+                          )}
 
                           {/* Post Actions */}
                             <div className="d-flex justify-content-between align-items-center mb-3 feed-actions">
@@ -487,10 +806,26 @@ const FeedPage = () => {
                                 onClick={() => openCommentModal(post._id)}
                               >
                                 <FaCommentDots className={darkMode ? "text-white" : "text-dark"} size={24} />
+                                {post.repliesCount > 0 && (
+                                  <span className={`ms-1 small ${darkMode ? "text-light" : "text-muted"}`}>
+                                    {post.repliesCount}
+                                  </span>
+                                )}
                               </button>
                               <button 
                                   className="btn btn-link p-0 text-decoration-none feed-action-btn"
-                                onClick={() => copyShareLink(post._id)}
+                                onClick={() => handleBoost(post)}
+                                disabled={["followers", "direct"].includes(post.visibility)}
+                                title={post.boostedBy?.username === username ? "Undo boost" : "Boost"}
+                              >
+                                <FaRetweet
+                                  className={post.boostedBy?.username === username ? "text-success" : darkMode ? "text-white" : "text-dark"}
+                                  size={24}
+                                />
+                              </button>
+                              <button 
+                                  className="btn btn-link p-0 text-decoration-none feed-action-btn"
+                                onClick={() => copyShareLink(post)}
                               >
                                 <FaShare className={darkMode ? "text-white" : "text-dark"} size={24} />
                               </button>
@@ -525,6 +860,7 @@ const FeedPage = () => {
                 })}
                 </AnimatePresence>
               </motion.div>
+              </InfiniteScroll>
             )}
           </div>
         </div>
@@ -552,91 +888,23 @@ const FeedPage = () => {
                   </div>
                 ) : (
                   <div className="p-4">
-                    {comments.map((comment) => (
-                      <div key={comment._id} className={`mb-4 pb-3 border-bottom ${darkMode ? 'border-secondary' : ''}`}>
-                        <div className="d-flex justify-content-between align-items-start mb-2">
-                          <div className="d-flex align-items-center">
-                            <div className="rounded-circle overflow-hidden me-3" style={{ width: '40px', height: '40px' }}>
-                              <img
-                                src={comment.user?.profilePic || `https://i.pravatar.cc/150?img=${Math.floor(Math.random() * 70)}`}
-                                alt="User"
-                                className="w-100 h-100 object-fit-cover"
-                              />
-                            </div>
-                            <div>
-                              <h6 className="mb-0 fw-bold">{comment.user?.username || "User"}</h6>
-                              <small className="text-muted">
-                                {formatDate(comment.createdAt)}
-                              </small>
-                            </div>
-                          </div>
-
-                          {/* Edit/Delete buttons (only for comment owner or post owner) */}
-                          {(comment.user?._id === userId || comment.userId === userId) && (
-                            <div className="dropdown">
-                              <button
-                                className="btn btn-link text-muted p-0"
-                                data-bs-toggle="dropdown"
-                              >
-                                <i className="fas fa-ellipsis-h"></i>
-                              </button>
-                              <ul className={`dropdown-menu dropdown-menu-end ${darkMode ? 'dropdown-menu-dark' : ''}`}>
-                                <li>
-                                  <button
-                                    className="dropdown-item"
-                                    onClick={() => startEditComment(comment)}
-                                  >
-                                    <FaEdit className="me-2" /> Edit
-                                  </button>
-                                </li>
-                                <li>
-                                  <button
-                                    className="dropdown-item text-danger"
-                                    onClick={() => handleDeleteComment(comment._id)}
-                                  >
-                                    <FaTrash className="me-2" /> Delete
-                                  </button>
-                                </li>
-                              </ul>
-                            </div>
-                          )}
-                        </div>
-
-                        {/* Comment Content - Edit Mode or View Mode */}
-                        {editingComment === comment._id ? (
-                          <div className="mt-3">
-                            <textarea
-                              className={`form-control mb-2 ${darkMode ? 'bg-secondary text-white border-secondary' : ''}`}
-                              value={editCommentText}
-                              onChange={(e) => setEditCommentText(e.target.value)}
-                              rows="2"
-                            />
-                            <div className="d-flex gap-2">
-                              <button
-                                className="btn btn-sm btn-success"
-                                onClick={() => handleEditComment(comment._id)}
-                              >
-                                Save
-                              </button>
-                              <button
-                                className={`btn btn-sm btn-outline-secondary ${darkMode ? 'text-white' : ''}`}
-                                onClick={cancelEditComment}
-                              >
-                                Cancel
-                              </button>
-                            </div>
-                          </div>
-                        ) : (
-                          <p className="mb-0 ps-5">{comment.content}</p>
-                        )}
-                      </div>
-                    ))}
+                    {comments.map((comment) =>
+                      renderComment(comment, 0, feed.find((post) => post._id === selectedPostId)?.author?._id)
+                    )}
                   </div>
                 )}
               </div>
 
               <div className={`modal-footer border-0 rounded-bottom-4 ${darkMode ? 'bg-secondary' : 'bg-light'}`}>
                 <div className="w-100">
+                  {replyTarget && (
+                    <div className="small mb-2">
+                      Replying to @{replyTarget.author?.username}{" "}
+                      <button className="btn btn-link btn-sm p-0" onClick={() => setReplyTarget(null)}>
+                        Cancel
+                      </button>
+                    </div>
+                  )}
                   <div className="input-group">
                     <input
                       type="text"
@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { jwtDecode } from "jwt-decode";
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+  "ngrok-skip-browser-warning": "true",
+});
+
+const FollowRequestsPage = () => {
+  const [requests, setRequests] = useState([]);
+  const [locked, setLocked] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchRequests = async () => {
+      try {
+        const res = await axios.get(`${process.env.REACT_APP_API_URL}/follow/requests`, {
+          headers: authHeaders(),
+        });
+        setRequests(res.data.requests || []);
+        setLocked(Boolean(res.data.manuallyApprovesFollowers));
+      } catch (err) {
+        console.error("Failed to load follow requests", err);
+        setError("Failed to load follow requests.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRequests();
+  }, []);
+
+  const toggleLocked = async () => {
+    try {
+      const { id } = jwtDecode(localStorage.getItem("token"));
+      await axios.put(
+        `${process.env.REACT_APP_API_URL}/api/users/${id}`,
+        { manuallyApprovesFollowers: !locked },
+        { headers: authHeaders() }
+      );
+      setLocked(!locked);
+    } catch (err) {
+      console.error("Failed to update account", err);
+      alert("Could not update account setting");
+    }
+  };
+
+  const settle = async (requestId, action) => {
+    try {
+      await axios.post(
+        `${process.env.REACT_APP_API_URL}/follow/requests/${requestId}/${action}`,
+        {},
+        { headers: authHeaders() }
+      );
+      setRequests((prev) => prev.filter((r) => r._id !== requestId));
+    } catch (err) {
+      console.error(`Failed to ${action} follow request`, err);
+      alert(`Could not ${action} follow request`);
+    }
+  };
+
+  return (
+    <div className="container py-4" style={{ maxWidth: "700px" }}>
+      <div className="text-center mb-4">
+        <h2 style={{ fontFamily: "cursive" }}>🔒 Follow Requests</h2>
+        <p className="text-muted">Choose who can follow you</p>
+      </div>
+
+      <div className="card shadow-sm border-0 mb-4">
+        <div className="card-body form-check form-switch d-flex align-items-center gap-2 ps-5">
+          <input
+            className="form-check-input"
+            type="checkbox"
+            id="lockedAccount"
+            checked={locked}
+            onChange={toggleLocked}
+          />
+          <label className="form-check-label" htmlFor="lockedAccount">
+            Approve new followers manually
+          </label>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {loading ? (
+        <p className="text-muted text-center">Loading...</p>
+      ) : requests.length === 0 ? (
+        <p className="text-muted text-center">No pending follow requests</p>
+      ) : (
+        <div className="d-flex flex-column gap-3">
+          {requests.map((request) => (
+            <div key={request._id} className="card shadow-sm border-0">
+              <div className="card-body d-flex align-items-center">
+                <img
+                  src={
+                    request.avatar ||
+                    `https://ui-avatars.com/api/?name=${request.handle}&background=random&color=fff&size=64`
+                  }
+                  alt={request.handle}
+                  className="rounded-circle me-3"
+                  style={{ width: "48px", height: "48px" }}
+                />
+                <div className="flex-grow-1">
+                  <h6 className="mb-0">{request.displayName || request.handle}</h6>
+                  <small className="text-muted">
+                    <a href={request.actor} target="_blank" rel="noreferrer">
+                      @{request.handle}
+                    </a>
+                  </small>
+                </div>
+                <div className="d-flex gap-2">
+                  <button
+                    className="btn btn-outline-success btn-sm"
+                    onClick={() => settle(request._id, "approve")}
+                  >
+                    Approve
+                  </button>
+                  <button
+                    className="btn btn-outline-danger btn-sm"
+                    onClick={() => settle(request._id, "reject")}
+                  >
+                    Reject
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FollowRequestsPage;
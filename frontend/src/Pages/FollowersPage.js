@@ -1,5 +1,6 @@
 import React, { useEffect, useState, useCallback } from "react";
 import axios from "axios";
+import { fetchCollectionItems } from "../utils/collections";
 import { useParams } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 
@@ -177,24 +178,7 @@ const FollowersPage = () => {
     };
 
     try {
-      const res = await axios.get(url, { headers, timeout: 10000 });
-
-      let items = [];
-      let total = 0;
-
-      if (res.data.orderedItems) {
-        items = res.data.orderedItems;
-        total = res.data.totalItems || 0;
-      } else if (res.data.first?.orderedItems) {
-        items = res.data.first.orderedItems;
-        total = res.data.first.totalItems || res.data.totalItems || 0;
-      } else if (res.data.items) {
-        items = res.data.items;
-        total = res.data.totalItems || 0;
-      } else if (Array.isArray(res.data)) {
-        items = res.data;
-        total = res.data.length;
-      }
+      const { items, total } = await fetchCollectionItems(url, { headers, timeout: 10000 });
 
       // Normalize items to URL strings, filtering out invalid entries
       const normalizedItems = items
@@ -1,11 +1,13 @@
 
 import React, { useEffect, useState } from "react";
 import axios from "axios";
+import { fetchCollectionItems } from "../utils/collections";
 import { Link } from "react-router-dom";
 
 const LocalUserSearch = () => {
   const [users, setUsers] = useState([]);
   const [following, setFollowing] = useState([]);
+  const [requested, setRequested] = useState([]);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const currentUsername = localStorage.getItem("username");
@@ -22,7 +24,7 @@ const LocalUserSearch = () => {
         });
 
         // Fetch following list (ActivityPub style)
-        const followingRes = await axios.get(
+        const { items: followingList } = await fetchCollectionItems(
           `${process.env.REACT_APP_API_URL}/api/users/${currentUsername}/following`,
           {
             headers: {
@@ -32,15 +34,6 @@ const LocalUserSearch = () => {
           }
         );
 
-        const processFollowing = (data) => {
-          if (data.orderedItems) return data.orderedItems;
-          if (data.first?.orderedItems) return data.first.orderedItems;
-          if (Array.isArray(data)) return data;
-          return [];
-        };
-
-        const followingList = processFollowing(followingRes.data);
-
         const followingUsernames = followingList.map(url => {
           const parts = url.split('/');
           return parts[parts.length - 1];
@@ -59,7 +52,7 @@ const LocalUserSearch = () => {
 
   const followUser = async (username) => {
     try {
-      await axios.post(
+      const res = await axios.post(
         `${process.env.REACT_APP_API_URL}/api/users/${username}/follow`,
         {},
         {
@@ -68,7 +61,12 @@ const LocalUserSearch = () => {
           },
         }
       );
-      setFollowing(prev => [...prev, username]);
+      // Locked accounts have to approve the request first
+      if (res.data?.pending) {
+        setRequested(prev => [...prev, username]);
+      } else {
+        setFollowing(prev => [...prev, username]);
+      }
     } catch (err) {
       console.error("Follow failed", err);
       alert("Follow failed");
@@ -87,6 +85,7 @@ const LocalUserSearch = () => {
         }
       );
       setFollowing(prev => prev.filter(u => u !== username));
+      setRequested(prev => prev.filter(u => u !== username));
     } catch (err) {
       console.error("Unfollow failed", err);
       alert("Unfollow failed");
@@ -126,6 +125,7 @@ const LocalUserSearch = () => {
         <div className="row g-3">
           {filteredUsers.map((user) => {
             const isFollowing = following.includes(user.username);
+            const isRequested = requested.includes(user.username);
 
             return (
               <div key={user._id} className="col-md-6">
@@ -149,7 +149,14 @@ const LocalUserSearch = () => {
                       </small>
                     </div>
                     <div>
-                      {isFollowing ? (
+                      {isRequested ? (
+                        <button
+                          className="btn btn-outline-secondary btn-sm"
+                          onClick={() => unfollowUser(user.username)}
+                        >
+                          Requested
+                        </button>
+                      ) : isFollowing ? (
                         <button
                           className="btn btn-outline-danger btn-sm"
                           onClick={() => unfollowUser(user.username)}
@@ -0,0 +1,226 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+  "ngrok-skip-browser-warning": "true",
+});
+
+const API = `${process.env.REACT_APP_API_URL}/api/conversations`;
+
+const nameOf = (person) => person?.displayName || person?.handle || person?.username;
+
+const avatarOf = (person) =>
+  person?.avatar ||
+  `https://ui-avatars.com/api/?name=${person?.username || "?"}&background=random&color=fff&size=64`;
+
+const MessagesPage = () => {
+  const [conversations, setConversations] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [next, setNext] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [recipients, setRecipients] = useState("");
+  const [composing, setComposing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const res = await axios.get(API, { headers: authHeaders() });
+      setConversations(res.data.items || []);
+    } catch (err) {
+      console.error("Failed to load conversations", err);
+      setError("Failed to load conversations.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  // Messages come newest first; they are shown oldest first
+  const openConversation = async (conversationId, maxId) => {
+    try {
+      const res = await axios.get(`${API}/${conversationId}/messages`, {
+        headers: authHeaders(),
+        params: maxId ? { max_id: maxId } : {},
+      });
+      const older = [...res.data.items].reverse();
+      setMessages((prev) => (maxId ? [...older, ...prev] : older));
+      setNext(res.data.next);
+      setSelected(res.data.conversation);
+      setComposing(false);
+      setConversations((prev) =>
+        prev.map((c) => (c._id === conversationId ? { ...c, unread: 0 } : c))
+      );
+    } catch (err) {
+      console.error("Failed to load messages", err);
+      alert("Could not load this conversation");
+    }
+  };
+
+  const send = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    try {
+      const res = composing
+        ? await axios.post(API, { to: recipients, content: draft }, { headers: authHeaders() })
+        : await axios.post(`${API}/${selected._id}/messages`, { content: draft }, { headers: authHeaders() });
+
+      setDraft("");
+      setRecipients("");
+      await fetchConversations();
+      await openConversation(res.data.conversation);
+    } catch (err) {
+      console.error("Failed to send message", err);
+      alert(err.response?.data?.error || "Could not send message");
+    }
+  };
+
+  return (
+    <div className="container py-4" style={{ maxWidth: "1000px" }}>
+      <div className="text-center mb-4">
+        <h2 style={{ fontFamily: "cursive" }}>✉️ Messages</h2>
+        <p className="text-muted">Private conversations, here and across the fediverse</p>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <div className="row g-3">
+        {/* Conversation list */}
+        <div className="col-md-4">
+          <button
+            className="btn btn-primary w-100 mb-3"
+            onClick={() => {
+              setComposing(true);
+              setSelected(null);
+              setMessages([]);
+            }}
+          >
+            New message
+          </button>
+
+          {loading ? (
+            <p className="text-muted text-center">Loading...</p>
+          ) : conversations.length === 0 ? (
+            <p className="text-muted text-center">No conversations yet</p>
+          ) : (
+            <div className="list-group">
+              {conversations.map((conversation) => (
+                <button
+                  key={conversation._id}
+                  className={`list-group-item list-group-item-action d-flex align-items-center ${
+                    selected?._id === conversation._id ? "active" : ""
+                  }`}
+                  onClick={() => openConversation(conversation._id)}
+                >
+                  <img
+                    src={avatarOf(conversation.participants[0])}
+                    alt=""
+                    className="rounded-circle me-2"
+                    style={{ width: "36px", height: "36px" }}
+                  />
+                  <div className="flex-grow-1 text-start text-truncate">
+                    <div className="fw-bold text-truncate">
+                      {conversation.participants.map(nameOf).join(", ")}
+                    </div>
+                    <small className="text-truncate d-block">
+                      {conversation.lastMessage?.content}
+                    </small>
+                  </div>
+                  {conversation.unread > 0 && (
+                    <span className="badge bg-danger rounded-pill ms-2">{conversation.unread}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Selected conversation */}
+        <div className="col-md-8">
+          {!selected && !composing ? (
+            <p className="text-muted text-center mt-5">Pick a conversation or start a new one</p>
+          ) : (
+            <div className="card shadow-sm border-0">
+              <div className="card-header bg-white">
+                {composing ? (
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="To: username or user@domain, separated by commas"
+                    value={recipients}
+                    onChange={(e) => setRecipients(e.target.value)}
+                  />
+                ) : (
+                  <h6 className="mb-0">
+                    {selected.participants.map((p) => `@${p.handle || p.username}`).join(", ")}
+                  </h6>
+                )}
+              </div>
+
+              <div className="card-body" style={{ maxHeight: "60vh", overflowY: "auto" }}>
+                {next && (
+                  <div className="text-center mb-3">
+                    <button
+                      className="btn btn-link btn-sm"
+                      onClick={() => openConversation(selected._id, next)}
+                    >
+                      Load older messages
+                    </button>
+                  </div>
+                )}
+                {messages.map((message) => (
+                  <div
+                    key={message._id}
+                    className={`d-flex mb-2 ${message.mine ? "justify-content-end" : ""}`}
+                  >
+                    <div
+                      className={`p-2 rounded-3 ${message.mine ? "bg-primary text-white" : "bg-light"}`}
+                      style={{ maxWidth: "75%" }}
+                    >
+                      {!message.mine && (
+                        <small className="fw-bold d-block">{nameOf(message.author)}</small>
+                      )}
+                      {message.imageUrl && (
+                        <img
+                          src={message.imageUrl}
+                          alt="Attachment"
+                          className="img-fluid rounded mb-1"
+                          style={{ maxHeight: "250px" }}
+                        />
+                      )}
+                      <div style={{ whiteSpace: "pre-wrap" }}>{message.content}</div>
+                      <small className={message.mine ? "text-white-50" : "text-muted"}>
+                        {new Date(message.createdAt).toLocaleString()}
+                      </small>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <form className="card-footer bg-white d-flex gap-2" onSubmit={send}>
+                <textarea
+                  className="form-control"
+                  rows={2}
+                  placeholder="Write a message..."
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                />
+                <button type="submit" className="btn btn-success" disabled={!draft.trim()}>
+                  Send
+                </button>
+              </form>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessagesPage;
@@ -0,0 +1,191 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import axios from "axios";
+import { FaAt, FaHeart, FaReply, FaRetweet, FaUserClock, FaUserPlus } from "react-icons/fa";
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+  "ngrok-skip-browser-warning": "true",
+});
+
+const API = `${process.env.REACT_APP_API_URL}/api/notifications`;
+
+const FILTERS = [
+  { label: "All", types: null },
+  { label: "Mentions", types: "mention" },
+  { label: "Replies", types: "reply" },
+  { label: "Likes", types: "like" },
+  { label: "Boosts", types: "boost" },
+  { label: "Follows", types: "follow,follow_request" },
+];
+
+const DESCRIPTIONS = {
+  follow: { icon: <FaUserPlus className="text-primary" />, text: "followed you" },
+  follow_request: { icon: <FaUserClock className="text-warning" />, text: "asked to follow you" },
+  like: { icon: <FaHeart className="text-danger" />, text: "liked your post" },
+  boost: { icon: <FaRetweet className="text-success" />, text: "boosted your post" },
+  reply: { icon: <FaReply className="text-info" />, text: "replied to your post" },
+  mention: { icon: <FaAt className="text-secondary" />, text: "mentioned you" },
+};
+
+// Lets the navbar bell follow along without asking the server again
+const announceUnread = (unread) =>
+  window.dispatchEvent(new CustomEvent("notifications-changed", { detail: { unread } }));
+
+// Where clicking a notification leads
+const targetOf = (notification) => {
+  if (notification.type === "follow_request") return "/follow-requests";
+  if (notification.post) return `/posts/${notification.post._id}`;
+  return notification.account?.local ? `/profile/${notification.account.username}` : null;
+};
+
+const NotificationsPage = () => {
+  const [filter, setFilter] = useState(FILTERS[0]);
+  const [notifications, setNotifications] = useState([]);
+  const [next, setNext] = useState(null);
+  const [unread, setUnread] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPage = useCallback(async (maxId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await axios.get(API, {
+        headers: authHeaders(),
+        params: {
+          ...(filter.types && { types: filter.types }),
+          ...(maxId && { max_id: maxId }),
+        },
+      });
+      setNotifications((prev) => (maxId ? [...prev, ...res.data.items] : res.data.items));
+      setNext(res.data.next);
+      setUnread(res.data.unread);
+      announceUnread(res.data.unread);
+    } catch (err) {
+      console.error("Failed to load notifications", err);
+      setError("Failed to load notifications.");
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchPage(null);
+  }, [fetchPage]);
+
+  const markAllRead = async () => {
+    try {
+      const res = await axios.post(`${API}/read`, {}, { headers: authHeaders() });
+      setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+      setUnread(res.data.unread);
+      announceUnread(res.data.unread);
+    } catch (err) {
+      console.error("Failed to mark notifications read", err);
+    }
+  };
+
+  const markRead = async (notification) => {
+    if (notification.read) return;
+    try {
+      const res = await axios.post(`${API}/${notification._id}/read`, {}, { headers: authHeaders() });
+      setNotifications((prev) =>
+        prev.map((n) => (n._id === notification._id ? { ...n, read: true } : n))
+      );
+      setUnread(res.data.unread);
+      announceUnread(res.data.unread);
+    } catch (err) {
+      console.error("Failed to mark notification read", err);
+    }
+  };
+
+  return (
+    <div className="container py-4" style={{ maxWidth: "700px" }}>
+      <div className="text-center mb-4">
+        <h2 style={{ fontFamily: "cursive" }}>🔔 Notifications</h2>
+        <p className="text-muted">Follows, likes, boosts, replies and mentions</p>
+      </div>
+
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+        <div className="btn-group btn-group-sm flex-wrap">
+          {FILTERS.map((option) => (
+            <button
+              key={option.label}
+              className={`btn ${filter.label === option.label ? "btn-primary" : "btn-outline-primary"}`}
+              onClick={() => setFilter(option)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <button className="btn btn-sm btn-outline-secondary" onClick={markAllRead} disabled={unread === 0}>
+          Mark all as read
+        </button>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {!loading && notifications.length === 0 && !error && (
+        <p className="text-muted text-center">Nothing here yet</p>
+      )}
+
+      <div className="list-group">
+        {notifications.map((notification) => {
+          const description = DESCRIPTIONS[notification.type];
+          const target = targetOf(notification);
+          const name = notification.account?.displayName || notification.account?.handle;
+          const content = (
+            <div className="d-flex align-items-start">
+              <span className="me-3 mt-1">{description.icon}</span>
+              <div className="flex-grow-1">
+                <div>
+                  <strong>{name}</strong>{" "}
+                  <span className="text-muted small">@{notification.account?.handle}</span>{" "}
+                  {description.text}
+                </div>
+                {notification.post?.caption && (
+                  <div className="text-muted small text-truncate">{notification.post.caption}</div>
+                )}
+                <small className="text-muted">{new Date(notification.createdAt).toLocaleString()}</small>
+              </div>
+              {!notification.read && <span className="badge bg-primary rounded-pill ms-2">new</span>}
+            </div>
+          );
+
+          const className = `list-group-item list-group-item-action ${notification.read ? "" : "bg-light"}`;
+          return target ? (
+            <Link
+              key={notification._id}
+              to={target}
+              className={className}
+              onClick={() => markRead(notification)}
+            >
+              {content}
+            </Link>
+          ) : (
+            <button
+              key={notification._id}
+              type="button"
+              className={`${className} text-start`}
+              onClick={() => markRead(notification)}
+            >
+              {content}
+            </button>
+          );
+        })}
+      </div>
+
+      {loading && <p className="text-muted text-center mt-3">Loading...</p>}
+
+      {next && !loading && (
+        <div className="text-center mt-4">
+          <button className="btn btn-outline-primary" onClick={() => fetchPage(next)}>
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsPage;
@@ -8,6 +8,7 @@ function PostForm() {
   const [caption, setCaption] = useState("");
   const [image, setImage] = useState(null);
   const [preview, setPreview] = useState(null);
+  const [visibility, setVisibility] = useState("public");
   const navigate = useNavigate();
 
   const handleFileChange = (file) => {
@@ -30,6 +31,7 @@ function PostForm() {
     const formData = new FormData();
     formData.append("image", image);
     formData.append("caption", caption);
+    formData.append("visibility", visibility);
     formData.append("username", localStorage.getItem("username"));
 
     try {
@@ -40,11 +42,17 @@ function PostForm() {
           "x-api-secret": process.env.REACT_APP_API_SECRET,
         },
       });
+      // Direct posts become private messages to the people they mention
+      if (visibility === "direct") {
+        alert("Message sent!");
+        navigate("/messages");
+        return;
+      }
       alert("Post uploaded successfully!");
       navigate("/");
     } catch (err) {
       console.error(err);
-      alert(err.response?.data?.message || "Error while posting.");
+      alert(err.response?.data?.error || err.response?.data?.message || "Error while posting.");
     }
   };
 
@@ -72,6 +80,21 @@ function PostForm() {
             />
           </div>
 
+          {/* Visibility */}
+          <div className="mb-3">
+            <label className="form-label">👁️ Who can see this</label>
+            <select
+              className="form-select"
+              value={visibility}
+              onChange={(e) => setVisibility(e.target.value)}
+            >
+              <option value="public">Public - everyone, shown on timelines</option>
+              <option value="unlisted">Unlisted - everyone, kept off public timelines</option>
+              <option value="followers">Followers only</option>
+              <option value="direct">Mentioned people only</option>
+            </select>
+          </div>
+
           {/* Custom Upload Box */}
           <div
             className="mb-3 text-center p-4 border border-2 border-secondary rounded"
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from "react";
 import { useParams } from "react-router-dom";
 import axios from "axios";
+import { fetchCollectionItems } from "../utils/collections";
 
 const UserProfile = () => {
   const { username } = useParams();
@@ -28,7 +29,7 @@ const UserProfile = () => {
 
     const fetchUserPosts = async () => {
       try {
-        const res = await axios.get(
+        const { items: postsData } = await fetchCollectionItems(
           `${process.env.REACT_APP_API_URL}/users/${username}/outbox`,
           {
             headers: {
@@ -40,7 +41,6 @@ const UserProfile = () => {
           }
         );
 
-        const postsData = res.data?.orderedItems || []; // ✅ ensure it's always an array
         setPosts(postsData);
       } catch (err) {
         console.error("Failed to fetch posts:", err);
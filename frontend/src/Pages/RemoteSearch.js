@@ -1,61 +1,78 @@
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import axios from "axios";
 
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+  "ngrok-skip-browser-warning": "true",
+});
+
 const RemoteSearch = () => {
-  const [handle, setHandle] = useState("");
-  const [actor, setActor] = useState(null);
+  // Other servers link here through our WebFinger subscribe template (?acct={uri})
+  const [searchParams] = useSearchParams();
+  const linkedAcct = (searchParams.get("acct") || "").replace(/^acct:/i, "");
+
+  const [handle, setHandle] = useState(linkedAcct);
+  const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
 
-  const resolveActor = async () => {
+  const resolveActor = useCallback(async (input) => {
     try {
       setError(null);
-      const [username, domain] = handle.split("@");
+      const query = input.trim();
+      const isUrl = /^https?:\/\//i.test(query);
 
-      if (!username || !domain) {
-        setError("⚠️ Invalid handle format. Use username@domain");
+      if (!isUrl && !query.includes("@")) {
+        setError("⚠️ Invalid handle format. Use username@domain or paste a URL");
         return;
       }
 
-      const webfingerRes = await axios.get(
-        `https://${domain}/.well-known/webfinger?resource=acct:${handle}`
-      );
-
-      const actorUrl = webfingerRes.data.links.find(
-        (link) => link.rel === "self"
-      ).href;
-
-      const actorProfile = await axios.get(actorUrl, {
-        headers: {
-          Accept: "application/activity+json",
-        },
+      // The lookup runs on our server (browsers hit CORS on most instances)
+      const res = await axios.get(`${process.env.REACT_APP_API_URL}/api/resolve`, {
+        params: isUrl ? { url: query } : { acct: query },
+        headers: authHeaders(),
       });
 
-      setActor(actorProfile.data);
+      setResult(res.data);
     } catch (err) {
       console.error(err);
-      setError("❌ Failed to resolve actor.");
-      setActor(null);
+      setError(`❌ ${err.response?.data?.error || "Failed to resolve actor."}`);
+      setResult(null);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    if (linkedAcct) resolveActor(linkedAcct);
+  }, [linkedAcct, resolveActor]);
+
+  const actor = result?.type === "actor" ? result.actor : result?.author;
 
   const sendFollow = async () => {
     try {
-      await axios.post(
-        `${process.env.REACT_APP_API_URL}/follow/remote/${localStorage.getItem("username")}/follow`,
-        { remoteActorUrl: actor.id },
-        {
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem("token")}`,
-          },
-        }
-      );
-      alert("✅ Follow request sent!");
+      const res = actor.local
+        ? await axios.post(
+          `${process.env.REACT_APP_API_URL}/api/users/${actor.preferredUsername}/follow`,
+          {},
+          { headers: authHeaders() }
+        )
+        : await axios.post(
+          `${process.env.REACT_APP_API_URL}/follow/remote/${localStorage.getItem("username")}/follow`,
+          { remoteActorUrl: actor.id },
+          { headers: authHeaders() }
+        );
+      setResult((prev) => ({ ...prev, followState: res.data?.pending ? "pending" : "following" }));
     } catch (err) {
       console.error("Follow failed:", err.response?.data || err.message);
       alert("❌ Follow failed");
     }
   };
 
+  const followLabel = {
+    following: "✓ Following",
+    pending: "⏳ Requested",
+    none: "Follow",
+  }[result?.followState || "none"];
+
   return (
     <div className="container mt-5 col-md-8">
       <div className="card shadow p-4">
@@ -66,27 +83,62 @@ const RemoteSearch = () => {
             className="form-control"
             value={handle}
             onChange={(e) => setHandle(e.target.value)}
-            placeholder="e.g., avdhut_077@mastodon.social"
+            placeholder="e.g., avdhut_077@mastodon.social or a post URL"
           />
-          <button onClick={resolveActor} className="btn btn-primary">
+          <button onClick={() => resolveActor(handle)} className="btn btn-primary">
             🔍 Search
           </button>
         </div>
 
         {error && <div className="alert alert-danger">{error}</div>}
 
+        {result?.type === "post" && (
+          <div className="card mt-3 p-3">
+            {result.post.imageUrl && (
+              <img
+                src={result.post.imageUrl}
+                alt="Post"
+                className="img-fluid rounded mb-2"
+                style={{ maxHeight: "400px", objectFit: "cover" }}
+              />
+            )}
+            <p className="mb-1">{result.post.caption}</p>
+            <small className="text-muted">
+              <a href={result.post.id} target="_blank" rel="noreferrer">
+                {new Date(result.post.createdAt).toLocaleString()}
+              </a>
+            </small>
+          </div>
+        )}
+
         {actor && (
           <div className="card mt-3 p-3 bg-light border border-success">
-            <h5 className="mb-1">@{actor.preferredUsername}</h5>
-            <small className="text-muted">{actor.id}</small>
-            {actor.summary && (
-              <p
-                className="mt-2"
-                dangerouslySetInnerHTML={{ __html: actor.summary }}
-              ></p>
-            )}
-            <button className="btn btn-success mt-2" onClick={sendFollow}>
-               Follow
+            <div className="d-flex align-items-center">
+              <img
+                src={
+                  actor.avatar ||
+                  `https://ui-avatars.com/api/?name=${actor.preferredUsername}&background=random&color=fff&size=64`
+                }
+                alt={actor.preferredUsername}
+                className="rounded-circle me-3"
+                style={{ width: "56px", height: "56px" }}
+              />
+              <div>
+                <h5 className="mb-0">{actor.displayName}</h5>
+                <small className="text-muted">
+                  <a href={actor.url} target="_blank" rel="noreferrer">
+                    @{actor.handle}
+                  </a>
+                </small>
+              </div>
+            </div>
+            {actor.summary && <p className="mt-2 mb-0">{actor.summary}</p>}
+            <button
+              className="btn btn-success mt-2"
+              onClick={sendFollow}
+              disabled={result.followState !== "none"}
+            >
+              {followLabel}
             </button>
           </div>
         )}
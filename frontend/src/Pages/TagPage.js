@@ -0,0 +1,97 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import axios from "axios";
+import Caption from "../components/Caption";
+
+const TagPage = () => {
+  const { tag } = useParams();
+  const [posts, setPosts] = useState([]);
+  const [next, setNext] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPage = useCallback(async (maxId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await axios.get(
+        `${process.env.REACT_APP_API_URL}/api/tags/${encodeURIComponent(tag)}`,
+        {
+          params: maxId ? { max_id: maxId } : {},
+          headers: { "ngrok-skip-browser-warning": "true" },
+        }
+      );
+      setPosts((prev) => (maxId ? [...prev, ...res.data.items] : res.data.items));
+      setNext(res.data.next);
+    } catch (err) {
+      console.error("Failed to load tag timeline:", err);
+      setError("Failed to load posts for this tag.");
+    } finally {
+      setLoading(false);
+    }
+  }, [tag]);
+
+  useEffect(() => {
+    fetchPage(null);
+  }, [fetchPage]);
+
+  return (
+    <div className="container py-4" style={{ maxWidth: "700px" }}>
+      <div className="text-center mb-4">
+        <h2 style={{ fontFamily: "cursive" }}>#{tag}</h2>
+        <p className="text-muted">Posts from here and across the fediverse</p>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {!loading && posts.length === 0 && !error && (
+        <p className="text-muted text-center">No posts with this tag yet</p>
+      )}
+
+      <div className="d-flex flex-column gap-3">
+        {posts.map((post) => {
+          const username = post.author?.username || post.actor?.split("/users/")[1];
+          return (
+            <div key={post._id} className="card shadow-sm border-0">
+              {post.imageUrl && (
+                <img
+                  src={post.imageUrl}
+                  className="card-img-top"
+                  alt="Post content"
+                  style={{ maxHeight: "400px", objectFit: "cover" }}
+                />
+              )}
+              <div className="card-body">
+                <h6 className="mb-1">
+                  {post.remote ? (
+                    <a href={post.actor} target="_blank" rel="noreferrer">
+                      @{post.author?.handle || username}
+                    </a>
+                  ) : (
+                    <Link to={`/profile/${username}`}>@{username}</Link>
+                  )}
+                </h6>
+                <p className="mb-1">
+                  <Caption text={post.caption} />
+                </p>
+                <small className="text-muted">{new Date(post.createdAt).toLocaleString()}</small>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {loading && <p className="text-muted text-center mt-3">Loading...</p>}
+
+      {next && !loading && (
+        <div className="text-center mt-4">
+          <button className="btn btn-outline-primary" onClick={() => fetchPage(next)}>
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagPage;
@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import axios from "axios";
+import { FaChevronDown, FaChevronRight } from "react-icons/fa";
+import Caption from "../components/Caption";
+
+const authHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    ...(token && { Authorization: `Bearer ${token}` }),
+    "ngrok-skip-browser-warning": "true",
+  };
+};
+
+// Replies in a branch, counting every level below it
+const countReplies = (node) =>
+  node.replies.reduce((total, reply) => total + 1 + countReplies(reply), 0);
+
+const ThreadPost = ({ post, highlighted }) => {
+  const username = post.author?.username || post.actor?.split("/users/")[1];
+  return (
+    <div className={`card shadow-sm mb-2 ${highlighted ? "border-primary" : "border-0"}`}>
+      {post.imageUrl && (
+        <img
+          src={post.imageUrl}
+          className="card-img-top"
+          alt="Post content"
+          style={{ maxHeight: highlighted ? "500px" : "250px", objectFit: "cover" }}
+        />
+      )}
+      <div className="card-body py-2">
+        <h6 className="mb-1">
+          {post.remote ? (
+            <a href={post.actor} target="_blank" rel="noreferrer">
+              @{post.author?.handle || username}
+            </a>
+          ) : (
+            <Link to={`/profile/${username}`}>@{username}</Link>
+          )}
+        </h6>
+        <p className={`mb-1 ${highlighted ? "fs-5" : ""}`}>
+          <Caption text={post.caption} />
+        </p>
+        <small className="text-muted">
+          {highlighted ? (
+            new Date(post.createdAt).toLocaleString()
+          ) : (
+            <Link to={`/posts/${post._id}`} className="text-muted">
+              {new Date(post.createdAt).toLocaleString()}
+            </Link>
+          )}
+          {post.editedAt && " · edited"}
+        </small>
+      </div>
+    </div>
+  );
+};
+
+// A reply with its own replies underneath, which can be folded away
+const ReplyBranch = ({ node }) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const hidden = countReplies(node);
+
+  return (
+    <div>
+      <ThreadPost post={node} />
+      {node.replies.length > 0 && (
+        <>
+          <button
+            type="button"
+            className="btn btn-link btn-sm p-0 mb-2 text-decoration-none"
+            onClick={() => setCollapsed(!collapsed)}
+          >
+            {collapsed ? <FaChevronRight className="me-1" /> : <FaChevronDown className="me-1" />}
+            {collapsed ? `Show ${hidden} ${hidden === 1 ? "reply" : "replies"}` : "Hide replies"}
+          </button>
+          {!collapsed && (
+            <div className="ps-3 border-start border-2">
+              {node.replies.map((reply) => (
+                <ReplyBranch key={reply._id} node={reply} />
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const ThreadPage = () => {
+  const { id } = useParams();
+  const [thread, setThread] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchThread = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await axios.get(
+          `${process.env.REACT_APP_API_URL}/api/posts/${id}/context`,
+          { headers: authHeaders() }
+        );
+        setThread(res.data);
+      } catch (err) {
+        console.error("Failed to load thread:", err);
+        setError(err.response?.status === 404 ? "This post could not be found." : "Failed to load this thread.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchThread();
+  }, [id]);
+
+  return (
+    <div className="container py-4" style={{ maxWidth: "700px" }}>
+      <div className="text-center mb-4">
+        <h2 style={{ fontFamily: "cursive" }}>🧵 Thread</h2>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+      {loading && <p className="text-muted text-center">Loading...</p>}
+
+      {thread && !loading && (
+        <>
+          {thread.ancestors.length > 0 && (
+            <div className="ps-3 border-start border-2 mb-2 opacity-75">
+              {thread.ancestors.map((ancestor) => (
+                <ThreadPost key={ancestor._id} post={ancestor} />
+              ))}
+            </div>
+          )}
+
+          <ThreadPost post={thread.post} highlighted />
+
+          <div className="mt-3">
+            {thread.descendants.length === 0 ? (
+              <p className="text-muted text-center">No replies yet</p>
+            ) : (
+              thread.descendants.map((node) => <ReplyBranch key={node._id} node={node} />)
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ThreadPage;
@@ -2,6 +2,7 @@
 import React, { useState, useEffect, useContext } from "react";
 import { useParams } from "react-router-dom";
 import axios from "axios";
+import { fetchCollectionItems } from "../utils/collections";
 import { AuthContext } from "../context/AuthContext";
 import { jwtDecode } from "jwt-decode";
 
@@ -36,7 +37,7 @@ const OutboxPage = () => {
 
     const fetchOutbox = async () => {
       try {
-        const res = await axios.get(
+        const { items } = await fetchCollectionItems(
           `${process.env.REACT_APP_API_URL}/users/${username}/outbox`,
           {
             headers: {
@@ -47,11 +48,7 @@ const OutboxPage = () => {
           }
         );
 
-        if (Array.isArray(res.data.orderedItems)) {
-          setPosts(res.data.orderedItems);
-        } else {
-          setPosts([]);
-        }
+        setPosts(items);
       } catch (err) {
         console.error("Failed to fetch outbox:", err.message);
       }
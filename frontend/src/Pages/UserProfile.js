@@ -4,6 +4,7 @@
 import React, { useEffect, useState } from "react";
 import { useParams } from "react-router-dom";
 import axios from "axios";
+import { fetchCollectionItems } from "../utils/collections";
 
 const UserProfile = () => {
   const { username } = useParams();
@@ -31,7 +32,7 @@ const UserProfile = () => {
 
     const fetchUserPosts = async () => {
       try {
-        const res = await axios.get(
+        const { items: postsData } = await fetchCollectionItems(
           `${process.env.REACT_APP_API_URL}/users/${username}/outbox`,
           {
             headers: {
@@ -43,7 +44,6 @@ const UserProfile = () => {
           }
         );
 
-        const postsData = res.data?.orderedItems || [];
         setPosts(postsData);
       } catch (err) {
         console.error("Failed to fetch posts:", err);
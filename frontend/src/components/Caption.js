@@ -0,0 +1,28 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+// Same rules as the backend: "#" + letters/digits/underscore, at least one non-digit
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu;
+
+// Renders caption text with hashtags linked to their tag pages
+const Caption = ({ text }) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of (text || "").matchAll(HASHTAG_PATTERN)) {
+    const [whole, prefix, tag] = match;
+    const start = match.index + prefix.length;
+    parts.push(text.slice(lastIndex, start));
+    parts.push(
+      <Link key={start} to={`/tags/${encodeURIComponent(tag.toLowerCase())}`}>
+        #{tag}
+      </Link>
+    );
+    lastIndex = match.index + whole.length;
+  }
+  parts.push((text || "").slice(lastIndex));
+
+  return <>{parts}</>;
+};
+
+export default Caption;
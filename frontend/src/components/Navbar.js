@@ -73,13 +73,52 @@
 
 // export default Navbar;
 
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
+import axios from "axios";
+import { FaBell } from "react-icons/fa";
+import { subscribe } from "../utils/stream";
+
+// New notifications arrive over the stream; polling catches withdrawn ones
+// and those read in another tab
+const UNREAD_POLL_MS = 5 * 60 * 1000;
 
 function Navbar() {
   const navigate = useNavigate();
   const isLoggedIn = !!localStorage.getItem("token");
   const username = localStorage.getItem("username");
+  const [unread, setUnread] = useState(0);
+
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+
+    const fetchUnread = async () => {
+      try {
+        const res = await axios.get(`${process.env.REACT_APP_API_URL}/api/notifications/unread-count`, {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem("token")}`,
+            "ngrok-skip-browser-warning": "true",
+          },
+        });
+        setUnread(res.data.unread);
+      } catch (err) {
+        console.error("Failed to load unread notifications", err);
+      }
+    };
+
+    // The notifications page reports changes as it marks things read
+    const onChange = (e) => setUnread(e.detail?.unread ?? 0);
+
+    fetchUnread();
+    const timer = setInterval(fetchUnread, UNREAD_POLL_MS);
+    const unsubscribe = subscribe("notification", (data) => setUnread(data.unread));
+    window.addEventListener("notifications-changed", onChange);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+      window.removeEventListener("notifications-changed", onChange);
+    };
+  }, [isLoggedIn]);
 
   const handleLogout = () => {
     localStorage.removeItem("token");
@@ -143,18 +182,42 @@ function Navbar() {
                     My Outbox
                   </Link>
                 </li>
+                <li className="nav-item">
+                  <Link className="nav-link" to="/follow-requests">
+                    Requests
+                  </Link>
+                </li>
+                <li className="nav-item">
+                  <Link className="nav-link" to="/messages">
+                    Messages
+                  </Link>
+                </li>
               </>
             )}
           </ul>
 
           {/* Auth actions */}
           {isLoggedIn ? (
-            <button
-              onClick={handleLogout}
-              className="btn btn-outline-light"
-            >
-              Logout
-            </button>
+            <div className="d-flex align-items-center gap-3">
+              <Link
+                className="nav-link position-relative text-light"
+                to="/notifications"
+                title="Notifications"
+              >
+                <FaBell size={20} />
+                {unread > 0 && (
+                  <span className="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">
+                    {unread > 99 ? "99+" : unread}
+                  </span>
+                )}
+              </Link>
+              <button
+                onClick={handleLogout}
+                className="btn btn-outline-light"
+              >
+                Logout
+              </button>
+            </div>
           ) : (
             <div className="d-flex auth-buttons gap-3">
               <Link className="btn btn-login" to="/login">
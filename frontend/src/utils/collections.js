@@ -0,0 +1,25 @@
+import axios from "axios";
+
+const MAX_PAGES = 20;
+
+/**
+ * Collects the items of an ActivityPub (Ordered)Collection, following
+ * `first` and `next` links across pages. Works with paged and unpaged collections.
+ */
+export const fetchCollectionItems = async (url, config = {}, maxPages = MAX_PAGES) => {
+  const res = await axios.get(url, config);
+  const root = res.data || {};
+  const total = root.totalItems || 0;
+
+  let items = root.orderedItems || root.items || [];
+  let page = root.first;
+
+  for (let i = 0; page && i < maxPages; i++) {
+    // `first`/`next` may be embedded pages or links to them
+    const data = typeof page === "string" ? (await axios.get(page, config)).data : page;
+    items = items.concat(data.orderedItems || data.items || []);
+    page = data.next;
+  }
+
+  return { items, total: total || items.length };
+};
@@ -0,0 +1,33 @@
+// Live updates from GET /api/streaming. Everything listening in this tab shares one
+// EventSource, opened on the first subscription and closed after the last.
+let source = null;
+let subscriptions = 0;
+
+/**
+ * Calls `handler` with the parsed data of every `event` (update, counts, delete,
+ * notification) pushed to the signed-in user. Returns a function that unsubscribes.
+ */
+export const subscribe = (event, handler) => {
+  const token = localStorage.getItem("token");
+  if (!token || typeof EventSource === "undefined") return () => {};
+
+  if (!source) {
+    source = new EventSource(
+      `${process.env.REACT_APP_API_URL}/api/streaming?access_token=${encodeURIComponent(token)}`
+    );
+  }
+
+  const stream = source;
+  const listener = (e) => handler(JSON.parse(e.data));
+  stream.addEventListener(event, listener);
+  subscriptions += 1;
+
+  return () => {
+    stream.removeEventListener(event, listener);
+    subscriptions -= 1;
+    if (subscriptions === 0 && source) {
+      source.close();
+      source = null;
+    }
+  };
+};